@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * エンタイトルメントストアのバックフィル
+ *
+ * Stripeの全Checkout Session（ゲスト購入を含む）とサークルサブスクリプションから
+ * エンタイトルメントストアを構築する。何度実行しても同じ結果になる（冪等）。
+ *
+ * 使い方: npm run backfill:entitlements
+ */
+
+const { backfillEntitlements } = require('../server/index.js');
+
+backfillEntitlements()
+  .then(result => {
+    console.log('========================================');
+    console.log('エンタイトルメント バックフィル完了');
+    console.log('========================================');
+    console.log(`[チケット購入] ${result.purchases}件`);
+    console.log(`[サークル会員] ${result.subscriptions}件`);
+    console.log(`[スキップ] ${result.skipped}件`);
+  })
+  .catch(err => {
+    console.error('[バックフィル失敗]', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * 旧形式データのストレージ移行
+ *
+ * data/*.json（エンタイトルメント・メール送信キュー・処理済みイベントなど）を
+ * STORAGE_BACKEND で設定したストレージ（JSONファイル / SQLite / KV）に移行する。
+ * ストレージに同じキーがある場合は上書きしないため、何度実行しても同じ結果になる（冪等）。
+ *
+ * 使い方: npm run storage:migrate
+ */
+
+const { migrateLegacyData } = require('../server/index.js');
+
+migrateLegacyData()
+  .then(result => {
+    console.log('========================================');
+    console.log('ストレージ移行 完了');
+    console.log('========================================');
+
+    for (const [collection, { migrated, skipped }] of Object.entries(result)) {
+      if (migrated === 0 && skipped === 0) continue;
+      console.log(`[${collection}] 移行 ${migrated}件 / 移行済み ${skipped}件`);
+    }
+  })
+  .catch(err => {
+    console.error('[ストレージ移行失敗]', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * メール送信キューの再送ワーカー
+ *
+ * メール送信キューのうち再試行時刻を過ぎたメールを送信する。
+ * cronなどで定期的に実行する（Vercelでは /cron/mail-queue を使用）。
+ *
+ * 使い方: npm run mail:worker
+ */
+
+const { processMailQueue } = require('../server/index.js');
+
+processMailQueue()
+  .then(result => {
+    console.log('========================================');
+    console.log('メール送信キュー 処理完了');
+    console.log('========================================');
+    console.log(`[配信] ${result.delivered}件`);
+    console.log(`[再試行待ち] ${result.retrying}件`);
+    console.log(`[dead] ${result.dead}件`);
+  })
+  .catch(err => {
+    console.error('[メールキュー処理失敗]', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Webhookイベントの再処理
+ *
+ * Stripeのイベント（IDまたは作成日時の範囲で指定）やローカルのJSONファイルを、
+ * 受信時と同じハンドラーで処理し直す。処理済みのイベントは --force を付けた場合のみ再処理する。
+ *
+ * 使い方:
+ *   npm run webhook:replay -- evt_xxx evt_yyy                     イベントIDで指定
+ *   npm run webhook:replay -- --since 2026-01-01T00:00+09:00 --until 2026-01-02T00:00+09:00 [--type checkout.session.completed]
+ *                                                                 作成日時の範囲で指定（Stripeに残っている過去30日分）
+ *   npm run webhook:replay -- --fixture path/to/event.json        ローカルのJSONファイル（イベント1件、または配列）
+ *
+ * オプション:
+ *   --force    処理済みのイベントも再処理する（メールも改めて送信する）
+ *   --dry-run  データ・メール送信キュー・Zoomを変更せず、送信されるメールを表示する
+ */
+
+const { replayWebhookEvents } = require('../server/index.js');
+
+const OPTIONS_WITH_VALUE = ['--since', '--until', '--type', '--fixture'];
+
+const args = process.argv.slice(2);
+const getOption = name => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+const eventIds = args.filter((arg, i) => !arg.startsWith('--') && !OPTIONS_WITH_VALUE.includes(args[i - 1]));
+
+const options = {
+  eventIds,
+  since: getOption('--since'),
+  until: getOption('--until'),
+  types: args.flatMap((arg, i) => (arg === '--type' && args[i + 1] ? [args[i + 1]] : [])),
+  fixture: getOption('--fixture'),
+  force: args.includes('--force'),
+  dryRun: args.includes('--dry-run')
+};
+
+if (eventIds.length === 0 && !options.since && !options.until && !options.fixture) {
+  console.error('イベントID・--since / --until・--fixture のいずれかを指定してください');
+  process.exit(1);
+}
+
+replayWebhookEvents(options)
+  .then(results => {
+    console.log('========================================');
+    console.log(`Webhookイベント 再処理${options.dryRun ? '（ドライラン）' : ''}`);
+    console.log('========================================');
+
+    for (const result of results) {
+      console.log(`[${result.status}] ${result.id} (${result.type})${result.reason ? `: ${result.reason}` : ''}`);
+
+      for (const email of result.emails) {
+        console.log('----------------------------------------');
+        console.log(`To: ${email.to}`);
+        console.log(`Subject: ${email.subject}`);
+        console.log('');
+        console.log(email.text);
+      }
+      if (result.emails.length > 0) console.log('----------------------------------------');
+    }
+
+    if (results.length === 0) console.log('対象のイベントはありません');
+    if (results.some(result => result.status === 'failed')) process.exitCode = 1;
+  })
+  .catch(err => {
+    console.error('[再処理失敗]', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * 配信キャンペーンの実行
+ *
+ * 開催前リマインダー（前日・1時間前）とアーカイブ公開のお知らせを、
+ * 購入者ごとに1回だけメール送信キューへ登録する。
+ * cronなどで定期的に実行する（Vercelでは /cron/campaigns を使用）。
+ *
+ * 初回実行時に公開済みのアーカイブは「公開済み」として記録するだけで、お知らせは送らない。
+ *
+ * 使い方: npm run campaigns:run
+ */
+
+const { processCampaigns } = require('../server/index.js');
+
+processCampaigns()
+  .then(result => {
+    console.log('========================================');
+    console.log('配信キャンペーン 実行完了');
+    console.log('========================================');
+    console.log(`[対象キャンペーン] ${result.campaigns.join(', ') || 'なし'}`);
+    console.log(`[キュー登録] ${result.queued}件`);
+    console.log(`[送信中止] ${result.blocked}件`);
+  })
+  .catch(err => {
+    console.error('[キャンペーン実行失敗]', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Zoom Meetingデータの同期
+ *
+ * カタログの各Meetingについて、Zoom APIからミーティング情報を取得し
+ * Zoom Meetingデータを "イベントslug:Meeting key" をキーにして作り直す。
+ * ミーティングIDはカタログの zoomMeetingId、または既存のZoom Meetingデータから取得する。
+ *
+ * 使い方:
+ *   npm run zoom:sync              既存のミーティングを取得
+ *   npm run zoom:sync -- --create  IDのないMeetingを、カタログの名前・開始日時（startsAt）で作成
+ */
+
+const { syncZoomMeetings } = require('../server/index.js');
+
+const create = process.argv.includes('--create');
+
+syncZoomMeetings({ create })
+  .then(result => {
+    console.log('========================================');
+    console.log('Zoom Meeting 同期完了');
+    console.log('========================================');
+    console.log(`[取得] ${result.fetched}件`);
+    console.log(`[作成] ${result.created}件`);
+
+    if (result.skipped.length > 0) {
+      console.warn(`[未同期] ${result.skipped.join(', ')}`);
+      console.warn(create
+        ? '  開始日時（startsAt）がないため作成できませんでした'
+        : '  ミーティングIDがありません（--create で作成できます）');
+    }
+
+    if (result.problems.length > 0) {
+      console.warn('[警告] カタログと一致しない項目があります:');
+      result.problems.forEach(p => console.warn(`  - ${p}`));
+      process.exitCode = 1;
+    }
+  })
+  .catch(err => {
+    console.error('[Zoom同期失敗]', err.message);
+    process.exitCode = 1;
+  });
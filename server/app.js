@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Expressアプリの組み立て
+ *
+ * - Stripe・メール送信・ストレージ・Zoom・配布資料ストレージのクライアントと時計は引数で差し替えられる
+ *   （省略したものは設定から作成。テストでは偽のクライアントを渡して外部サービスに接続しない）
+ * - サービス（services/）を作成し、ルーター（routes/）に渡す
+ */
+
+const express = require('express');
+const Stripe = require('stripe');
+const { AsyncLocalStorage } = require('async_hooks');
+const { loadConfig } = require('./config');
+const { createCatalog } = require('./catalog');
+const { createStorage } = require('./storage');
+const { createMailTransport } = require('./mail-transport');
+const { createEmailRenderer } = require('./email-templates');
+const { createZoomClient } = require('./zoom-client');
+const { createMaterialStorage } = require('./material-storage');
+const { createAuditLogService } = require('./services/audit-log');
+const { createEntitlementService } = require('./services/entitlements');
+const { createZoomService } = require('./services/zoom');
+const { createNotificationService } = require('./services/notifications');
+const { createStripeEventService } = require('./services/stripe-events');
+const { createWebhookEventService } = require('./services/webhook-events');
+const { createCampaignService } = require('./services/campaigns');
+const { createArchiveAccessService } = require('./services/archive-access');
+const { createViewingService } = require('./services/viewing');
+const { createMigrationService } = require('./services/migration');
+const { createWebhookRouter } = require('./routes/webhook');
+const { createHealthRouter } = require('./routes/health');
+const { createCronRouter } = require('./routes/cron');
+const { createEventRouter } = require('./routes/events');
+const { createArchiveRouter } = require('./routes/archive');
+const { createRegisterRouter } = require('./routes/register');
+const { createAdminRouter } = require('./routes/admin');
+
+// 現在時刻（テストでは任意の時刻を返す時計に差し替える）
+const systemClock = { now: () => Date.now() };
+
+/**
+ * Expressアプリを作成
+ * 作成したサービスとクライアントは app.locals に置く（管理コマンド・起動時の設定確認用）
+ */
+function createApp({
+  config = loadConfig(),
+  catalog = createCatalog(config.catalogPath),
+  storage: baseStorage = createStorage(config.storageBackend, config.storageConfig),
+  stripe = new Stripe(config.stripeSecretKey),
+  mailTransport = createMailTransport(config.mailTransport, config.mailTransportConfig),
+  zoomClient = createZoomClient(config.zoom),
+  materialStorage = createMaterialStorage(config.materialsStorage, config.materialStorageConfig),
+  clock = systemClock
+} = {}) {
+  // 処理中のWebhookイベント（メールの二重登録防止・再処理のドライランに使う）
+  const webhookEventContext = new AsyncLocalStorage();
+
+  // 再処理のドライラン中は、書き込みをメモリ上に留めるストレージに切り替える
+  const storage = {
+    name: baseStorage.name,
+    ...Object.fromEntries(['get', 'set', 'delete', 'list', 'update'].map(method => [
+      method,
+      (...args) => (webhookEventContext.getStore()?.storage || baseStorage)[method](...args)
+    ]))
+  };
+
+  // トランザクションメールのテンプレート（自動エスケープ・プレーンテキスト・必須項目チェック）
+  const renderEmailTemplate = createEmailRenderer({
+    supportFormUrl: config.supportFormUrl,
+    publicBaseUrl: config.publicBaseUrl,
+    circleDiscordUrl: config.circleDiscordUrl,
+    loginLinkTtlMinutes: config.archiveLoginLinkTtlMinutes
+  });
+
+  const auditLog = createAuditLogService({ storage, clock });
+  const entitlements = createEntitlementService({ config, catalog, storage, clock, stripe });
+  const zoom = createZoomService({ config, catalog, storage, clock, zoomClient, webhookEventContext, auditLog });
+  const notifications = createNotificationService({
+    config, catalog, storage, clock, mailTransport, webhookEventContext, renderEmailTemplate,
+    auditLog, entitlements, zoom
+  });
+  const stripeEvents = createStripeEventService({
+    catalog, clock, stripe, zoomClient, auditLog, entitlements, zoom, notifications
+  });
+  const webhookEvents = createWebhookEventService({
+    storage, baseStorage, clock, stripe, webhookEventContext, stripeEvents
+  });
+  const campaigns = createCampaignService({ catalog, storage, clock, entitlements, zoom, notifications });
+  const archiveAccess = createArchiveAccessService({ config, catalog, storage, clock });
+  const viewing = createViewingService({ catalog, storage, clock });
+  const migration = createMigrationService({ config, storage });
+
+  const services = {
+    auditLog,
+    entitlements,
+    zoom,
+    notifications,
+    stripeEvents,
+    webhookEvents,
+    campaigns,
+    archiveAccess,
+    viewing,
+    migration
+  };
+  const context = {
+    config,
+    catalog,
+    stripe,
+    materialStorage,
+    webhookEventContext,
+    renderEmailTemplate,
+    ...services
+  };
+
+  const app = express();
+
+  app.use(createWebhookRouter(context));
+  app.use(createHealthRouter());
+  app.use(createCronRouter(context));
+  app.use(createEventRouter(context));
+
+  // フォームデータのパース（webhook rawボディの後に配置）
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(createArchiveRouter(context));
+  app.use(createRegisterRouter(context));
+  app.use(createAdminRouter(context));
+
+  Object.assign(app.locals, { config, catalog, storage, mailTransport, materialStorage, zoomClient, services });
+  return app;
+}
+
+module.exports = {
+  createApp
+};
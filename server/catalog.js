@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * イベントカタログ（イベント・チケット・Zoom・アーカイブ動画の定義）
+ *
+ * - config/catalog.json（CATALOG_PATH）を読み込み、不正な定義は起動時にエラー
+ * - price_id・アーカイブセッションキーからの参照用マッピングを作成
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeHlsPath, isHlsPlaylist } = require('./hls');
+
+// /archive 配下でイベントslugとして使えないパス
+const RESERVED_ARCHIVE_SLUGS = ['verify', 'login', 'watch', 'logout', 'progress', 'analytics'];
+
+/**
+ * イベントカタログを読み込んで検証
+ */
+function loadCatalog(catalogPath, env = process.env) {
+  const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  const errors = [];
+  const slugs = new Set();
+
+  if (!Array.isArray(catalog.events) || catalog.events.length === 0) {
+    throw new Error(`カタログにイベントが定義されていません: ${catalogPath}`);
+  }
+
+  for (const event of catalog.events) {
+    if (!event.slug || !/^[a-z0-9-]+$/.test(event.slug)) {
+      errors.push(`不正なslug: ${event.slug}`);
+    }
+    if (slugs.has(event.slug)) errors.push(`slugが重複しています: ${event.slug}`);
+    if (RESERVED_ARCHIVE_SLUGS.includes(event.slug)) errors.push(`予約済みのslug: ${event.slug}`);
+    slugs.add(event.slug);
+
+    event.meetings = event.meetings || {};
+    event.archiveSessions = event.archiveSessions || {};
+    event.commonMeetings = event.commonMeetings || [];
+    event.tickets = event.tickets || [];
+    event.email = event.email || {};
+
+    // 開始日時（開催前リマインダー・Zoom Meeting作成用、タイムゾーン付きISO 8601）
+    for (const [key, meeting] of Object.entries(event.meetings)) {
+      if (meeting.startsAt && Number.isNaN(Date.parse(meeting.startsAt))) {
+        errors.push(`${event.slug}: 不正な開始日時: ${key}: ${meeting.startsAt}`);
+      }
+      if (meeting.zoomMeetingId && !/^\d+$/.test(String(meeting.zoomMeetingId))) {
+        errors.push(`${event.slug}: 不正なZoomミーティングID: ${key}: ${meeting.zoomMeetingId}`);
+      }
+    }
+
+    for (const [key, session] of Object.entries(event.archiveSessions)) {
+      if (!/^[A-Za-z0-9-]+$/.test(key)) errors.push(`${event.slug}: 不正なアーカイブキー: ${key}`);
+
+      // 動画の配信方法（hls: HLS_DIR内のプレイリストを自前配信、youtubeId: YouTube限定公開。両方あればHLS）
+      if (session.hls && !(normalizeHlsPath(session.hls) && isHlsPlaylist(session.hls))) {
+        errors.push(`${event.slug}: 不正なHLSプレイリスト: ${key}: ${session.hls}`);
+      }
+      session.video = session.hls
+        ? { provider: 'hls', playlist: normalizeHlsPath(session.hls) }
+        : session.youtubeId ? { provider: 'youtube', id: session.youtubeId } : null;
+
+      // チャプター（time は "m:ss" / "h:mm:ss" または秒数、時刻順）
+      session.chapters = (session.chapters || []).map(chapter => ({ ...chapter, seconds: parseChapterTime(chapter.time) }));
+      session.chapters.forEach((chapter, i) => {
+        if (chapter.seconds === null || !chapter.title) {
+          errors.push(`${event.slug}: 不正なチャプター: ${key}: ${chapter.time} ${chapter.title || ''}`.trim());
+        } else if (i > 0 && chapter.seconds <= session.chapters[i - 1].seconds) {
+          errors.push(`${event.slug}: チャプターが時刻順ではありません: ${key}: ${chapter.time}`);
+        }
+      });
+
+      // 配布資料（file は MATERIALS_DIR / S3バケット内のパス、filename はダウンロード時のファイル名）
+      session.materials = session.materials || [];
+      const materialIds = new Set();
+      for (const material of session.materials) {
+        if (!material.id || !/^[A-Za-z0-9-]+$/.test(material.id) || materialIds.has(material.id)) {
+          errors.push(`${event.slug}: 不正または重複した資料ID: ${key}: ${material.id}`);
+        }
+        if (!material.title) errors.push(`${event.slug}: 資料のタイトルがありません: ${key}: ${material.id}`);
+        if (!material.file || material.file.startsWith('/') || material.file.split('/').includes('..')) {
+          errors.push(`${event.slug}: 不正な資料ファイル: ${key}: ${material.file}`);
+        }
+        materialIds.add(material.id);
+        material.filename = material.filename || path.basename(material.file || '');
+      }
+    }
+    for (const key of event.commonMeetings) {
+      if (!event.meetings[key]) errors.push(`${event.slug}: 未定義のMeeting key: ${key}`);
+    }
+
+    for (const ticket of event.tickets) {
+      // price_idは直接指定、または環境変数名で指定（テスト/本番で異なるため）
+      ticket.priceId = ticket.priceId || (ticket.priceIdEnv ? env[ticket.priceIdEnv] : null) || null;
+      ticket.meetings = ticket.meetings || [];
+      ticket.archive = ticket.archive || [];
+
+      for (const key of ticket.meetings) {
+        if (!event.meetings[key]) errors.push(`${event.slug}: ${ticket.productName}: 未定義のMeeting key: ${key}`);
+      }
+      for (const key of ticket.archive) {
+        if (!event.archiveSessions[key]) errors.push(`${event.slug}: ${ticket.productName}: 未定義のアーカイブキー: ${key}`);
+      }
+    }
+  }
+
+  if (catalog.defaultEvent && !slugs.has(catalog.defaultEvent)) {
+    errors.push(`defaultEventが存在しません: ${catalog.defaultEvent}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`カタログの定義エラー (${catalogPath}):\n  - ${errors.join('\n  - ')}`);
+  }
+
+  catalog.defaultEvent = catalog.defaultEvent || catalog.events[0].slug;
+  catalog.archiveTitle = catalog.archiveTitle || 'ARCHIVE';
+  return catalog;
+}
+
+/**
+ * チャプターの時刻を秒数に変換（"12:34" / "1:02:03" / 754、不正ならnull）
+ */
+function parseChapterTime(value) {
+  if (Number.isInteger(value) && value >= 0) return value;
+  if (typeof value !== 'string' || !/^(\d+:)?\d{1,2}:\d{2}$/.test(value)) return null;
+
+  const parts = value.split(':').map(Number);
+  if (parts.slice(1).some(part => part >= 60)) return null;
+  return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+}
+
+/**
+ * カタログを読み込み、参照用のマッピングとアーカイブセッションキーの関数を作成
+ */
+function createCatalog(catalogPath, env = process.env) {
+  const catalog = loadCatalog(catalogPath, env);
+
+  // slug -> イベント
+  const eventMap = Object.fromEntries(catalog.events.map(event => [event.slug, event]));
+
+  // price_id -> { event, ticket }
+  const ticketMap = {};
+  for (const event of catalog.events) {
+    for (const ticket of event.tickets) {
+      if (ticket.priceId) ticketMap[ticket.priceId] = { event, ticket };
+    }
+  }
+
+  // 商品名マッピング（price_id -> 正式商品名）
+  const productNameMap = Object.fromEntries(
+    Object.entries(ticketMap).map(([priceId, { ticket }]) => [priceId, ticket.productName])
+  );
+
+  // Zoom登録リンク送付マッピング（price_id -> Meeting keys）
+  const zoomLinkMap = Object.fromEntries(
+    Object.entries(ticketMap).map(([priceId, { ticket }]) => [priceId, ticket.meetings])
+  );
+
+  // アーカイブセッションキー（"イベントslug:セッションキー"、カタログの表示順）
+  const archiveSessionKeys = catalog.events.flatMap(event =>
+    Object.keys(event.archiveSessions).map(key => `${event.slug}:${key}`)
+  );
+
+  // Price ID -> アーカイブセッションキー
+  const archiveSessionMap = Object.fromEntries(
+    Object.entries(ticketMap).map(([priceId, { event, ticket }]) => [
+      priceId,
+      ticket.archive.map(key => `${event.slug}:${key}`)
+    ])
+  );
+
+  /**
+   * アーカイブセッションキーを "イベントslug:セッションキー" 形式に正規化
+   * （カタログ導入前に記録された "A" などのキーは defaultEvent のもの）
+   */
+  function qualifyArchiveKey(key) {
+    return key.includes(':') ? key : `${catalog.defaultEvent}:${key}`;
+  }
+
+  /**
+   * アーカイブセッションキーからイベント・セッション定義を取得
+   */
+  function findArchiveSession(qualifiedKey) {
+    const [slug, key] = qualifyArchiveKey(qualifiedKey).split(':');
+    const event = eventMap[slug];
+    const session = event?.archiveSessions[key];
+    if (!session) return null;
+    return { event, key, session, qualifiedKey: `${slug}:${key}` };
+  }
+
+  /**
+   * セッションキーをカタログの表示順に並べる（未定義のキーは除外）
+   */
+  function sortArchiveKeys(keys) {
+    const keySet = new Set(keys.map(qualifyArchiveKey));
+    return archiveSessionKeys.filter(k => keySet.has(k));
+  }
+
+  /**
+   * 環境変数で指定されたprice_idのうち未設定のもの
+   */
+  function getMissingPriceEnvs() {
+    return catalog.events.flatMap(event =>
+      event.tickets.filter(ticket => ticket.priceIdEnv && !ticket.priceId).map(ticket => ticket.priceIdEnv)
+    );
+  }
+
+  return {
+    ...catalog,
+    eventMap,
+    ticketMap,
+    productNameMap,
+    zoomLinkMap,
+    archiveSessionKeys,
+    archiveSessionMap,
+    qualifyArchiveKey,
+    findArchiveSession,
+    sortArchiveKeys,
+    getMissingPriceEnvs
+  };
+}
+
+module.exports = {
+  loadCatalog,
+  createCatalog
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * 環境変数から設定を読み込む
+ *
+ * - 環境変数の既定値はここにまとめる（.env の読み込みは server/index.js）
+ * - テストでは process.env の代わりに環境変数のオブジェクトを渡す
+ */
+
+const path = require('path');
+
+/**
+ * 環境変数から設定を作成
+ */
+function loadConfig(env = process.env) {
+  const stripeMode = env.STRIPE_MODE || 'test';
+
+  // データディレクトリ
+  const dataDir = path.join(__dirname, '..', 'data');
+
+  return {
+    stripeMode,
+    stripeSecretKey: stripeMode === 'live' ? env.STRIPE_SECRET_KEY_LIVE : env.STRIPE_SECRET_KEY_TEST,
+    stripeWebhookSecret: stripeMode === 'live' ? env.STRIPE_WEBHOOK_SECRET_LIVE : env.STRIPE_WEBHOOK_SECRET_TEST,
+
+    // メール送信トランスポート（SendGrid / SMTP / ファイル / コンソール）
+    mailTransport: env.MAIL_TRANSPORT || 'sendgrid',
+    mailTransportConfig: {
+      sendgridApiKey: env.SENDGRID_API_KEY,
+      smtpHost: env.SMTP_HOST,
+      smtpPort: Number(env.SMTP_PORT) || undefined,
+      smtpSecure: env.SMTP_SECURE === 'true',
+      smtpUser: env.SMTP_USER,
+      smtpPass: env.SMTP_PASS,
+      outboxDir: env.MAIL_OUTBOX_DIR || path.join(dataDir, 'outbox')
+    },
+    fromEmail: env.FROM_EMAIL,
+    mailFromName: env.MAIL_FROM_NAME,
+    mailReplyTo: env.MAIL_REPLY_TO,
+    supportFormUrl: env.SUPPORT_FORM_URL,
+    publicBaseUrl: env.PUBLIC_BASE_URL,
+    adminPassword: env.ADMIN_PASSWORD,
+    cronSecret: env.CRON_SECRET,
+
+    // イベントカタログ（イベント・チケット・Zoom・アーカイブ動画の定義）
+    catalogPath: env.CATALOG_PATH || path.join(__dirname, '..', 'config', 'catalog.json'),
+
+    // 旧形式のデータファイル（data/*.json）の場所
+    dataDir,
+
+    // ストレージ（JSONファイル / SQLite / KV）
+    storageBackend: env.STORAGE_BACKEND || 'file',
+    storageConfig: {
+      storageDir: env.STORAGE_DIR || path.join(dataDir, 'store'),
+      sqlitePath: env.SQLITE_PATH || path.join(dataDir, 'portal.db'),
+      kvUrl: env.KV_REST_API_URL,
+      kvToken: env.KV_REST_API_TOKEN,
+      kvPrefix: env.KV_PREFIX || 'aiarchi:'
+    },
+
+    // 配布資料ストレージ（ローカルディレクトリ / S3互換ストレージ）
+    materialsStorage: env.MATERIALS_STORAGE || 'local',
+    materialStorageConfig: {
+      materialsDir: env.MATERIALS_DIR || path.join(__dirname, '..', 'materials'),
+      s3Endpoint: env.S3_ENDPOINT,
+      s3Region: env.S3_REGION,
+      s3Bucket: env.S3_BUCKET,
+      s3AccessKeyId: env.S3_ACCESS_KEY_ID,
+      s3SecretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      // 署名付きURLの有効期限（秒）
+      urlTtlSeconds: Number(env.MATERIALS_URL_TTL_SECONDS) || 300
+    },
+
+    // Zoom API（未設定なら購入者に登録リンクを案内する従来の方式）
+    zoom: {
+      accountId: env.ZOOM_ACCOUNT_ID,
+      clientId: env.ZOOM_CLIENT_ID,
+      clientSecret: env.ZOOM_CLIENT_SECRET,
+      apiBaseUrl: env.ZOOM_API_BASE_URL,
+      oauthUrl: env.ZOOM_OAUTH_URL
+    },
+    // ミーティング作成時のホスト（Server-to-Server OAuthではユーザーIDかメールアドレスを指定）
+    zoomHostUserId: env.ZOOM_HOST_USER_ID || 'me',
+
+    // サークル会員のPrice ID（未設定の場合は商品のdefault_priceを使用）
+    circlePriceId: env.CIRCLE_PRICE_ID,
+    circleDiscordUrl: env.CIRCLE_DISCORD_URL,
+    // 支払い失敗・解約後もアーカイブを視聴できる猶予日数
+    circleGraceDays: Number(env.CIRCLE_GRACE_DAYS) || 7,
+
+    // アーカイブ視聴セッション（署名付きCookie）
+    archiveSessionTtlHours: Number(env.ARCHIVE_SESSION_TTL_HOURS) || 24,
+    archiveSessionSecret: env.ARCHIVE_SESSION_SECRET,
+    // ログインリンク（ワンタイム）の有効期限
+    archiveLoginLinkTtlMinutes: Number(env.ARCHIVE_LOGIN_LINK_TTL_MINUTES) || 15,
+
+    // 自前配信動画（HLS）のディレクトリと署名付きURLの有効期限
+    // URLは視聴者ごとに署名し、Cookieの視聴セッションと一致しないリクエストは拒否する
+    hlsDir: path.resolve(env.HLS_DIR || path.join(__dirname, '..', 'hls')),
+    // 動画ページに埋め込むプレイリストURL（ページ表示後すぐに読み込まれる）
+    hlsPlaylistUrlTtlSeconds: Number(env.HLS_PLAYLIST_URL_TTL_SECONDS) || 300,
+    // プレイリスト内のセグメント等のURL（長いセッションを一時停止しながら視聴できる長さ）
+    hlsSegmentUrlTtlSeconds: Number(env.HLS_SEGMENT_URL_TTL_SECONDS) || 4 * 60 * 60,
+
+    port: env.WEBHOOK_PORT || 3000
+  };
+}
+
+module.exports = {
+  loadConfig
+};
@@ -0,0 +1,637 @@
+'use strict';
+
+/**
+ * トランザクションメールのテンプレート
+ *
+ * - html`...` に埋め込んだ値は自動でHTMLエスケープ（html`...` 同士の入れ子はそのまま）
+ * - どのメールも件名・HTML・プレーンテキストをまとめて生成
+ * - Zoom登録URLなどの必須項目が欠けている場合は EmailTemplateError を投げ、送信させない
+ */
+
+const { escapeHtml } = require('./views/html');
+
+/**
+ * 必須項目が欠けているため生成できなかった
+ */
+class EmailTemplateError extends Error {
+  constructor(template, missing) {
+    super(`メール「${template}」の必須項目が未設定です: ${missing.join(', ')}`);
+    this.name = 'EmailTemplateError';
+    this.template = template;
+    this.missing = missing;
+  }
+}
+
+/**
+ * エスケープ済みのHTML断片
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+/**
+ * 自動エスケープつきのHTMLテンプレートタグ
+ */
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, str, i) =>
+    out + str + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+// ============================================
+// 共通レイアウト
+// ============================================
+
+const LINK_STYLE = 'color: #007bff; text-decoration: none;';
+
+/**
+ * 確認事項（黄色の枠）
+ */
+function renderNotices(items) {
+  return html`
+  <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 16px; margin-bottom: 24px;">
+    <h3 style="margin: 0 0 8px 0; font-size: 16px; font-weight: 600; color: #856404;">確認事項</h3>
+    <ul style="margin: 0; padding-left: 20px; color: #856404;">
+      ${items.map((item, i) => html`
+      <li style="margin-bottom: ${i === items.length - 1 ? 0 : 8}px;">${item}</li>`)}
+    </ul>
+  </div>`;
+}
+
+/**
+ * HTMLメールの共通レイアウト（見出し・本文・確認事項・お問い合わせ）
+ */
+function renderHtmlLayout({ title, lead, body, notices, supportText, supportFormUrl }) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+</head>
+<body style="font-family: 'Helvetica Neue', Arial, 'Noto Sans JP', sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">${html`
+  <div style="background: #f8f9fa; border-radius: 8px; padding: 32px; margin-bottom: 24px;">
+    <h1 style="margin: 0 0 16px 0; font-size: 24px; font-weight: 600;">${title}</h1>
+    <p style="margin: 0; color: #666;">${lead}</p>
+  </div>
+${body}
+${renderNotices(notices)}
+
+  <div style="border-top: 1px solid #e9ecef; padding-top: 24px; margin-top: 24px;">
+    <p style="margin: 0 0 8px 0; color: #666; font-size: 14px;">
+      ${supportText}
+    </p>
+    <p style="margin: 0;">
+      <a href="${supportFormUrl}" style="${LINK_STYLE}">お問い合わせフォーム</a>
+    </p>
+  </div>`}
+</body>
+</html>`;
+}
+
+/**
+ * プレーンテキストメールの共通レイアウト
+ */
+function renderTextLayout({ title, lead, body, notices, supportText, supportFormUrl }) {
+  return [
+    title,
+    lead,
+    '',
+    ...body,
+    '■ 確認事項',
+    ...notices.map(notice => `・${notice}`),
+    '',
+    '----------------------------------------',
+    supportText,
+    supportFormUrl,
+    ''
+  ].join('\n');
+}
+
+/**
+ * HTML・プレーンテキストを同じ内容から生成
+ */
+function renderEmail(subject, layout) {
+  return {
+    subject,
+    html: renderHtmlLayout(layout.html),
+    text: renderTextLayout(layout.text)
+  };
+}
+
+const DEFAULT_SUPPORT_TEXT = 'ご不明な点がございましたら、以下よりお問い合わせください。';
+
+// ============================================
+// テンプレート定義
+// ============================================
+
+const TEMPLATES = {
+  /**
+   * イベント参加情報（Zoom登録リンク、またはZoom APIで登録済みの個人用参加URL）
+   * data: { subject, productName, meetings: [{ name, url, registered }], notes }
+   */
+  purchase: {
+    missing: data => [
+      ...(data.meetings.length === 0 ? ['Zoomセッション'] : []),
+      ...data.meetings.filter(meeting => !meeting.url).map(meeting => `Zoom登録URL（${meeting.name}）`)
+    ],
+    render: ({ subject, productName, meetings, notes = [], supportFormUrl }) => {
+      // 全セッション登録済みなら、自分でZoom登録する手順の案内は不要
+      const allRegistered = meetings.every(meeting => meeting.registered);
+      const heading = allRegistered ? 'Zoom参加URL' : 'Zoom登録リンク';
+      const intro = allRegistered
+        ? 'Zoomへの登録は完了しています。当日は以下のリンクからご参加ください。'
+        : meetings.some(meeting => meeting.registered)
+          ? '「参加URL（あなた専用）」のセッションは登録済みです。それ以外のセッションは、以下のリンクから登録してください。'
+          : '以下のリンクから各セッションに登録してください。';
+      const linkLabel = meeting => (meeting.registered ? '参加URL（あなた専用）' : 'Zoom登録はこちら');
+      const notices = allRegistered
+        ? [
+          '参加URLはあなた専用です。他の方と共有しないでください',
+          '開始時刻の少し前から入室できます',
+          ...notes
+        ]
+        : [
+          html`<strong>購入メールアドレス ＝ Zoom登録メールアドレス</strong>（必須）`,
+          '登録後、Zoomから専用参加URLがメールで届きます',
+          'メールアドレスの入力間違いにご注意ください',
+          ...notes
+        ];
+
+      return renderEmail(subject, {
+        html: {
+          title: subject,
+          lead: 'ご購入ありがとうございます',
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices,
+          body: html`
+  <div style="margin-bottom: 24px;">
+    <h2 style="font-size: 18px; margin: 0 0 12px 0; font-weight: 600;">ご購入商品</h2>
+    <p style="margin: 0; padding: 16px; background: #e9ecef; border-radius: 4px; font-weight: 500;">
+      ${productName}
+    </p>
+  </div>
+
+  <div style="margin-bottom: 24px;">
+    <h2 style="font-size: 18px; margin: 0 0 12px 0; font-weight: 600;">${heading}</h2>
+    <p style="margin: 0 0 16px 0; color: #666;">
+      ${intro}
+    </p>
+    <table style="width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #e9ecef; border-radius: 4px;">
+      ${meetings.map(meeting => html`
+<tr>
+  <td style="padding: 16px; border-bottom: 1px solid #e9ecef;">
+    <p style="margin: 0 0 8px 0; font-weight: 600;">${meeting.name}</p>
+    <p style="margin: 0;">
+      <a href="${meeting.url}" style="${LINK_STYLE}">${linkLabel(meeting)}</a>
+    </p>
+  </td>
+</tr>`)}
+    </table>
+  </div>
+${allRegistered ? '' : html`
+  <!-- 超重要警告 -->
+  <div style="background: linear-gradient(135deg, #dc3545, #c82333); border-radius: 8px; padding: 24px; margin-bottom: 24px; text-align: center;">
+    <h3 style="margin: 0 0 12px 0; font-size: 20px; font-weight: bold; color: white;">!! 重要 !!</h3>
+    <p style="margin: 0; color: white; font-size: 16px; line-height: 1.6;">
+      Zoom登録は<strong>必ずこのメールアドレス</strong>で行ってください。<br>
+      <span style="background: white; color: #dc3545; padding: 4px 12px; border-radius: 4px; display: inline-block; margin-top: 8px; font-weight: bold;">
+        異なるメールアドレスでは参加できません
+      </span>
+    </p>
+  </div>`}`
+        },
+        text: {
+          title: subject,
+          lead: 'ご購入ありがとうございます',
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices: allRegistered
+            ? notices
+            : ['購入メールアドレス ＝ Zoom登録メールアドレス（必須）', ...notices.slice(1)],
+          body: [
+            '■ ご購入商品',
+            productName,
+            '',
+            `■ ${heading}`,
+            intro,
+            '',
+            ...meetings.flatMap(meeting => [meeting.name, `${linkLabel(meeting)}: ${meeting.url}`, '']),
+            ...(allRegistered ? [] : [
+              '!! 重要 !!',
+              'Zoom登録は必ずこのメールアドレスで行ってください。',
+              '異なるメールアドレスでは参加できません。',
+              ''
+            ])
+          ]
+        }
+      });
+    }
+  },
+
+  /**
+   * サークル入会完了
+   * data: {}
+   */
+  circleWelcome: {
+    missing: data => (data.publicBaseUrl ? [] : ['PUBLIC_BASE_URL']),
+    render: ({ publicBaseUrl, circleDiscordUrl, supportFormUrl }) => {
+      const archiveUrl = `${publicBaseUrl}/archive`;
+      const title = 'AI×建築サークルへようこそ';
+      const lead = 'ご入会ありがとうございます';
+      const notices = [
+        '月額 ¥5,000 が毎月自動で請求されます',
+        'AI FES.などのイベントには会員専用クーポンで無料参加できます（クーポンは別途メールでお送りします）'
+      ];
+
+      return renderEmail('AI×建築サークル ご入会ありがとうございます', {
+        html: {
+          title,
+          lead,
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices,
+          body: html`
+  <div style="margin-bottom: 24px;">
+    <h2 style="font-size: 18px; margin: 0 0 12px 0; font-weight: 600;">会員特典</h2>
+    <table style="width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #e9ecef; border-radius: 4px;">
+      <tr>
+        <td style="padding: 16px; border-bottom: 1px solid #e9ecef;">
+          <p style="margin: 0 0 8px 0; font-weight: 600;">会員限定Discordコミュニティ</p>
+          <p style="margin: 0;">${circleDiscordUrl
+            ? html`<a href="${circleDiscordUrl}" style="${LINK_STYLE}">Discordコミュニティに参加する</a>`
+            : '会員限定Discordコミュニティの招待リンクは、別途ご案内いたします。'}</p>
+        </td>
+      </tr>
+      <tr>
+        <td style="padding: 16px;">
+          <p style="margin: 0 0 8px 0; font-weight: 600;">過去セミナーアーカイブ視聴</p>
+          <p style="margin: 0;">
+            <a href="${archiveUrl}" style="${LINK_STYLE}">アーカイブ動画ページ</a>
+            にこのメールアドレスを入力するとご視聴いただけます。
+          </p>
+        </td>
+      </tr>
+    </table>
+  </div>`
+        },
+        text: {
+          title,
+          lead,
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices,
+          body: [
+            '■ 会員限定Discordコミュニティ',
+            circleDiscordUrl || '招待リンクは、別途ご案内いたします。',
+            '',
+            '■ 過去セミナーアーカイブ視聴',
+            '以下のページにこのメールアドレスを入力するとご視聴いただけます。',
+            archiveUrl,
+            ''
+          ]
+        }
+      });
+    }
+  },
+
+  /**
+   * サークル会費の支払い失敗
+   * data: { invoiceUrl, graceUntil }
+   */
+  circleDunning: {
+    missing: data => (data.graceUntil ? [] : ['猶予期限']),
+    render: ({ invoiceUrl, graceUntil, supportFormUrl }) => {
+      const title = 'AI×建築サークル 会費のお支払いについて';
+      const lead = '月額会費のお支払いが完了しませんでした';
+      const message = [
+        'ご登録のお支払い方法で月額会費を決済できませんでした。',
+        'カードの有効期限・利用限度額などをご確認のうえ、お支払い情報を更新してください。'
+      ];
+
+      return renderEmail(title, {
+        html: {
+          title,
+          lead,
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices: [
+            '決済は自動で再試行されます',
+            html`<strong>${graceUntil}</strong>までにお支払いが確認できない場合、アーカイブ動画の視聴を停止します`
+          ],
+          body: html`
+  <div style="margin-bottom: 24px;">
+    <p style="margin: 0 0 16px 0;">
+      ${message[0]}<br>
+      ${message[1]}
+    </p>${invoiceUrl ? html`
+    <p style="margin: 0;">
+      <a href="${invoiceUrl}" style="${LINK_STYLE}">お支払い情報を更新する</a>
+    </p>` : ''}
+  </div>`
+        },
+        text: {
+          title,
+          lead,
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices: [
+            '決済は自動で再試行されます',
+            `${graceUntil}までにお支払いが確認できない場合、アーカイブ動画の視聴を停止します`
+          ],
+          body: [
+            ...message,
+            ...(invoiceUrl ? ['', 'お支払い情報の更新:', invoiceUrl] : []),
+            ''
+          ]
+        }
+      });
+    }
+  },
+
+  /**
+   * サークル退会
+   * data: { accessUntil }
+   */
+  circleCancellation: {
+    missing: data => [
+      ...(data.accessUntil ? [] : ['視聴期限']),
+      ...(data.publicBaseUrl ? [] : ['PUBLIC_BASE_URL'])
+    ],
+    render: ({ accessUntil, publicBaseUrl, supportFormUrl }) => {
+      const title = 'AI×建築サークル 退会手続き完了のお知らせ';
+      const lead = 'これまでご参加いただきありがとうございました';
+      const message = 'サークルの月額会員を退会しました。今後、会費は請求されません。';
+      const registerUrl = `${publicBaseUrl}/register`;
+
+      return renderEmail(title, {
+        html: {
+          title,
+          lead,
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices: [
+            html`アーカイブ動画は<strong>${accessUntil}</strong>までご視聴いただけます`,
+            '個別にご購入いただいたチケットのアーカイブは引き続きご視聴いただけます',
+            html`再入会は <a href="${registerUrl}" style="color: #856404;">入会ページ</a> からいつでも可能です`
+          ],
+          body: html`
+  <div style="margin-bottom: 24px;">
+    <p style="margin: 0;">
+      ${message}
+    </p>
+  </div>`
+        },
+        text: {
+          title,
+          lead,
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices: [
+            `アーカイブ動画は${accessUntil}までご視聴いただけます`,
+            '個別にご購入いただいたチケットのアーカイブは引き続きご視聴いただけます',
+            `再入会は入会ページからいつでも可能です: ${registerUrl}`
+          ],
+          body: [message, '']
+        }
+      });
+    }
+  },
+
+  /**
+   * アーカイブ動画のログインリンク
+   * data: { loginUrl }
+   */
+  archiveLogin: {
+    missing: data => (data.loginUrl ? [] : ['ログインURL']),
+    render: ({ loginUrl, loginLinkTtlMinutes, supportFormUrl }) => {
+      const title = 'アーカイブ動画 ログインリンク';
+      const notices = [
+        `このリンクの有効期限は${loginLinkTtlMinutes}分です`,
+        'リンクは1回のみ使用できます',
+        'お心当たりのない場合は、このメールを破棄してください'
+      ];
+
+      return renderEmail('アーカイブ動画 ログインリンクのご案内', {
+        html: {
+          title,
+          lead: '以下のボタンからアーカイブ動画ページにログインしてください',
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices,
+          body: html`
+  <div style="margin-bottom: 24px; text-align: center;">
+    <a href="${loginUrl}" style="display: inline-block; padding: 14px 32px; background: #6c63ff; color: #fff; text-decoration: none; border-radius: 8px; font-weight: 600;">アーカイブ動画を視聴する</a>
+  </div>`
+        },
+        text: {
+          title,
+          lead: '以下のリンクからアーカイブ動画ページにログインしてください',
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices,
+          body: [loginUrl, '']
+        }
+      });
+    }
+  },
+
+  /**
+   * 開催前リマインダー（前日・1時間前）
+   * data: { subject, lead, meetingName, startsAt, registrationUrl }
+   */
+  sessionReminder: {
+    missing: data => [
+      ...(data.registrationUrl ? [] : [`Zoom登録URL（${data.meetingName}）`]),
+      ...(data.publicBaseUrl ? [] : ['PUBLIC_BASE_URL'])
+    ],
+    render: ({ subject, lead, meetingName, startsAt, registrationUrl, publicBaseUrl, supportFormUrl }) => {
+      const archiveUrl = `${publicBaseUrl}/archive`;
+      const notices = [
+        'Zoomには購入時のメールアドレスで登録・参加してください',
+        'Zoom登録がお済みの方は、Zoomから届いた参加URLからもご参加いただけます'
+      ];
+
+      return renderEmail(subject, {
+        html: {
+          title: meetingName,
+          lead,
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices,
+          body: html`
+  <div style="margin-bottom: 24px;">
+    <h2 style="font-size: 18px; margin: 0 0 12px 0; font-weight: 600;">開始日時</h2>
+    <p style="margin: 0; padding: 16px; background: #e9ecef; border-radius: 4px; font-weight: 500;">
+      ${startsAt}
+    </p>
+  </div>
+
+  <div style="margin-bottom: 24px; text-align: center;">
+    <a href="${registrationUrl}" style="display: inline-block; padding: 14px 32px; background: #007bff; color: #fff; text-decoration: none; border-radius: 8px; font-weight: 600;">Zoomに参加する</a>
+  </div>
+
+  <div style="margin-bottom: 24px;">
+    <p style="margin: 0; color: #666;">
+      ご購入済みセッションのアーカイブ動画は <a href="${archiveUrl}" style="${LINK_STYLE}">アーカイブ動画ページ</a> からご覧いただけます。
+    </p>
+  </div>`
+        },
+        text: {
+          title: meetingName,
+          lead,
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices,
+          body: [
+            '■ 開始日時',
+            startsAt,
+            '',
+            '■ Zoom参加リンク',
+            registrationUrl,
+            '',
+            '■ アーカイブ動画ページ',
+            archiveUrl,
+            ''
+          ]
+        }
+      });
+    }
+  },
+
+  /**
+   * アーカイブ公開のお知らせ
+   * data: { eventTitle, sessionName }
+   */
+  archivePublished: {
+    missing: data => (data.publicBaseUrl ? [] : ['PUBLIC_BASE_URL']),
+    render: ({ eventTitle, sessionName, publicBaseUrl, supportFormUrl }) => {
+      const archiveUrl = `${publicBaseUrl}/archive`;
+      const title = 'アーカイブ公開のお知らせ';
+      const lead = `${eventTitle}のアーカイブ動画を公開しました`;
+      const notices = [
+        'アーカイブ動画ページで購入時のメールアドレスを入力すると、ログインリンクが届きます',
+        'アーカイブ動画の録画・転載・共有はご遠慮ください'
+      ];
+
+      return renderEmail(`【アーカイブ公開】${sessionName}`, {
+        html: {
+          title,
+          lead,
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices,
+          body: html`
+  <div style="margin-bottom: 24px;">
+    <h2 style="font-size: 18px; margin: 0 0 12px 0; font-weight: 600;">公開したセッション</h2>
+    <p style="margin: 0; padding: 16px; background: #e9ecef; border-radius: 4px; font-weight: 500;">
+      ${sessionName}
+    </p>
+  </div>
+
+  <div style="margin-bottom: 24px; text-align: center;">
+    <a href="${archiveUrl}" style="display: inline-block; padding: 14px 32px; background: #6c63ff; color: #fff; text-decoration: none; border-radius: 8px; font-weight: 600;">アーカイブ動画を視聴する</a>
+  </div>`
+        },
+        text: {
+          title,
+          lead,
+          supportText: DEFAULT_SUPPORT_TEXT,
+          supportFormUrl,
+          notices,
+          body: ['■ 公開したセッション', sessionName, '', '■ アーカイブ動画ページ', archiveUrl, '']
+        }
+      });
+    }
+  },
+
+  /**
+   * 返金・チャージバック
+   * data: { productName, kind: 'refunded' | 'disputed', zoomCanceled }
+   * zoomCanceled: Zoom登録をすべてキャンセルした場合のみtrue（参加リンクが使えなくなることを案内）
+   */
+  refund: {
+    missing: data => (data.productName ? [] : ['商品名']),
+    render: ({ productName, kind, zoomCanceled, supportFormUrl }) => {
+      const title = kind === 'refunded'
+        ? 'ご返金手続き完了のお知らせ'
+        : 'お支払いに関する異議申し立てのお知らせ';
+      const lead = kind === 'refunded'
+        ? '以下のご購入について、返金手続きが完了しました。'
+        : '以下のご購入について、カード会社を通じてお支払いへの異議申し立て（チャージバック）がありました。';
+      const supportText = 'お心当たりのない場合やご不明な点がございましたら、以下よりお問い合わせください。';
+      const notices = [
+        'この商品のアーカイブ動画の視聴権限を停止しました',
+        ...(zoomCanceled ? ['お送りしたZoom参加リンクもご利用いただけなくなります'] : [])
+      ];
+
+      return renderEmail(title, {
+        html: {
+          title,
+          lead,
+          supportText,
+          supportFormUrl,
+          notices,
+          body: html`
+  <div style="margin-bottom: 24px;">
+    <h2 style="font-size: 18px; margin: 0 0 12px 0; font-weight: 600;">対象商品</h2>
+    <p style="margin: 0; padding: 16px; background: #e9ecef; border-radius: 4px; font-weight: 500;">
+      ${productName}
+    </p>
+  </div>`
+        },
+        text: {
+          title,
+          lead,
+          supportText,
+          supportFormUrl,
+          notices,
+          body: ['■ 対象商品', productName, '']
+        }
+      });
+    }
+  }
+};
+
+/**
+ * 共通設定（お問い合わせURLなど）を束ねたレンダラーを作成
+ *
+ * config: { supportFormUrl, publicBaseUrl, circleDiscordUrl, loginLinkTtlMinutes }
+ */
+function createEmailRenderer(config) {
+  return function renderTemplate(name, data = {}) {
+    const template = TEMPLATES[name];
+    if (!template) {
+      throw new Error(`メールテンプレートが見つかりません: ${name}`);
+    }
+
+    const values = { ...config, ...data };
+    const missing = [
+      ...(values.supportFormUrl ? [] : ['SUPPORT_FORM_URL']),
+      ...template.missing(values)
+    ];
+    if (missing.length > 0) {
+      throw new EmailTemplateError(name, missing);
+    }
+
+    return template.render(values);
+  };
+}
+
+module.exports = {
+  EmailTemplateError,
+  createEmailRenderer
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * HLSプレイリストの書き換え
+ *
+ * プレイリスト内の相対URI（バリアントプレイリスト・セグメント・暗号鍵・初期化セグメント）を
+ * 署名付きURLに置き換える。署名・配信はサーバー側（/archive/:eventSlug/hls/...）で行う。
+ *
+ * file はセッションのHLSディレクトリからの相対パス（"index.m3u8"、"720p/index.m3u8" など）。
+ */
+
+const path = require('path');
+
+/**
+ * セッションのHLSディレクトリ内の相対パスに正規化（ディレクトリ外を指す場合はnull）
+ */
+function normalizeHlsPath(file) {
+  if (typeof file !== 'string' || !file || file.startsWith('/') || file.includes('\\')) return null;
+  const normalized = path.posix.normalize(file);
+  if (normalized === '..' || normalized.startsWith('../')) return null;
+  return normalized;
+}
+
+/**
+ * プレイリストかどうか（拡張子で判定）
+ */
+function isHlsPlaylist(file) {
+  return file.toLowerCase().endsWith('.m3u8');
+}
+
+/**
+ * プレイリスト内のURIを signUrl(file) の戻り値に置き換える
+ * 絶対URL（http:// など）やディレクトリ外を指すURIはそのまま残す
+ */
+function rewriteHlsPlaylist(content, playlistFile, signUrl) {
+  const baseDir = path.posix.dirname(playlistFile);
+
+  const rewriteUri = uri => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(uri) || uri.startsWith('/')) return uri;
+    const file = normalizeHlsPath(path.posix.join(baseDir, uri.split('?')[0]));
+    return file ? signUrl(file) : uri;
+  };
+
+  return content.split(/\r?\n/).map(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+
+    // タグ内のURI属性（EXT-X-KEY / EXT-X-MAP / EXT-X-MEDIA / EXT-X-I-FRAME-STREAM-INF）
+    if (trimmed.startsWith('#')) {
+      return line.replace(/URI="([^"]*)"/g, (match, uri) => `URI="${rewriteUri(uri)}"`);
+    }
+
+    return rewriteUri(trimmed);
+  }).join('\n');
+}
+
+module.exports = {
+  normalizeHlsPath,
+  isHlsPlaylist,
+  rewriteHlsPlaylist
+};
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * メール送信トランスポート
+ *
+ * MAIL_TRANSPORT で送信方法を切り替える。
+ * - sendgrid: SendGrid API（デフォルト）
+ * - smtp: 任意のSMTPサーバー（SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS）
+ * - file: MAIL_OUTBOX_DIR にJSONで書き出し（開発・動作確認用）
+ * - console: 送信内容をコンソールに出力するだけ（開発用）
+ *
+ * どのトランスポートも send(message) を1回だけ試み、失敗時は例外を投げる。
+ * 再試行はメール送信キュー側で行う。
+ *
+ * message: { to, from: { email, name }, replyTo, subject, html, text }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_TRANSPORTS = ['sendgrid', 'smtp', 'file', 'console'];
+
+/**
+ * 設定からトランスポートを作成（未知の名前は起動時にエラー）
+ */
+function createMailTransport(name, config = {}) {
+  switch (name) {
+    case 'sendgrid':
+      return createSendGridTransport(config);
+    case 'smtp':
+      return createSmtpTransport(config);
+    case 'file':
+      return createFileTransport(config);
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`MAIL_TRANSPORT が不正です: ${name}（${MAIL_TRANSPORTS.join(' / ')}）`);
+  }
+}
+
+/**
+ * 設定に必要な環境変数のうち未設定のもの
+ */
+function getMissingMailTransportEnvs(name, config = {}) {
+  if (name === 'sendgrid' && !config.sendgridApiKey) return ['SENDGRID_API_KEY'];
+  if (name === 'smtp' && !config.smtpHost) return ['SMTP_HOST'];
+  return [];
+}
+
+/**
+ * SendGrid API
+ */
+function createSendGridTransport({ sendgridApiKey }) {
+  return {
+    name: 'sendgrid',
+    async send({ to, from, replyTo, subject, html, text }) {
+      // SendGridはtext/plainをtext/htmlより先に置く必要がある
+      const content = [];
+      if (text) content.push({ type: 'text/plain', value: text });
+      content.push({ type: 'text/html', value: html });
+
+      const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${sendgridApiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          personalizations: [{ to: [{ email: to }] }],
+          from: { email: from.email, name: from.name },
+          reply_to: replyTo ? { email: replyTo } : undefined,
+          subject: subject,
+          content
+        })
+      });
+
+      if (!response.ok) {
+        const detail = await response.text();
+        throw new Error(`SendGrid API Error: ${response.status} ${detail}`);
+      }
+    }
+  };
+}
+
+/**
+ * SMTP（nodemailer）
+ */
+function createSmtpTransport({ smtpHost, smtpPort, smtpSecure, smtpUser, smtpPass }) {
+  const transporter = nodemailer.createTransport({
+    host: smtpHost,
+    port: smtpPort || (smtpSecure ? 465 : 587),
+    secure: Boolean(smtpSecure),
+    auth: smtpUser ? { user: smtpUser, pass: smtpPass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, from, replyTo, subject, html, text }) {
+      await transporter.sendMail({
+        to,
+        from: from.name ? { name: from.name, address: from.email } : from.email,
+        replyTo,
+        subject,
+        html,
+        text
+      });
+    }
+  };
+}
+
+/**
+ * ファイル出力（1通ごとにJSONファイルを作成）
+ */
+function createFileTransport({ outboxDir }) {
+  return {
+    name: 'file',
+    async send(message) {
+      if (!fs.existsSync(outboxDir)) {
+        fs.mkdirSync(outboxDir, { recursive: true });
+      }
+
+      const sentAt = new Date().toISOString();
+      const filename = `${sentAt.replace(/[:.]/g, '-')}_${message.to.replace(/[^A-Za-z0-9@._-]/g, '_')}.json`;
+      const filePath = path.join(outboxDir, filename);
+
+      fs.writeFileSync(filePath, JSON.stringify({ ...message, sent_at: sentAt }, null, 2), 'utf8');
+      console.log(`[メール出力] ${message.to} → ${filePath}`);
+    }
+  };
+}
+
+/**
+ * コンソール出力
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, from, replyTo, subject, html, text }) {
+      console.log('----------------------------------------');
+      console.log(`From: ${from.name ? `${from.name} <${from.email}>` : from.email}`);
+      console.log(`To: ${to}`);
+      if (replyTo) console.log(`Reply-To: ${replyTo}`);
+      console.log(`Subject: ${subject}`);
+      console.log('');
+      console.log(text || html);
+      console.log('----------------------------------------');
+    }
+  };
+}
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  createMailTransport,
+  getMissingMailTransportEnvs
+};
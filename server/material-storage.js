@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * 配布資料ストレージ
+ *
+ * MATERIALS_STORAGE で保存先を切り替える。
+ * - local: MATERIALS_DIR 配下のファイルをサーバーから直接返す（デフォルト）
+ * - s3: S3互換ストレージ（AWS S3 / Cloudflare R2 / MinIO など）の署名付きURLへリダイレクト
+ *   （S3_BUCKET / S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY / S3_REGION / S3_ENDPOINT）
+ *
+ * どのストレージも send(res, file, filename) でダウンロードのレスポンスを返す。
+ * ファイルが見つからない場合は false を返す（呼び出し側で404を表示）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MATERIAL_STORAGES = ['local', 's3'];
+
+/**
+ * 設定からストレージを作成（未知の名前は起動時にエラー）
+ */
+function createMaterialStorage(name, config = {}) {
+  switch (name) {
+    case 'local':
+      return createLocalStorage(config);
+    case 's3':
+      return createS3Storage(config);
+    default:
+      throw new Error(`MATERIALS_STORAGE が不正です: ${name}（${MATERIAL_STORAGES.join(' / ')}）`);
+  }
+}
+
+/**
+ * 設定に必要な環境変数のうち未設定のもの
+ */
+function getMissingMaterialStorageEnvs(name, config = {}) {
+  if (name !== 's3') return [];
+
+  const missing = [];
+  if (!config.s3Bucket) missing.push('S3_BUCKET');
+  if (!config.s3AccessKeyId) missing.push('S3_ACCESS_KEY_ID');
+  if (!config.s3SecretAccessKey) missing.push('S3_SECRET_ACCESS_KEY');
+  return missing;
+}
+
+/**
+ * RFC 3986 に沿ったURIエンコード（署名・Content-Dispositionで使う）
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * ローカルディレクトリ
+ */
+function createLocalStorage({ materialsDir }) {
+  const rootDir = path.resolve(materialsDir);
+
+  return {
+    name: 'local',
+    async send(res, file, filename) {
+      // MATERIALS_DIR の外を指すパスは扱わない
+      const filePath = path.resolve(rootDir, file);
+      if (!filePath.startsWith(rootDir + path.sep) || !fs.existsSync(filePath)) return false;
+
+      await new Promise((resolve, reject) => {
+        res.download(filePath, filename, err => (err ? reject(err) : resolve()));
+      });
+      return true;
+    }
+  };
+}
+
+/**
+ * S3互換ストレージ（パス形式のURLにSigV4のクエリ署名を付けてリダイレクト）
+ */
+function createS3Storage({ s3Endpoint, s3Region, s3Bucket, s3AccessKeyId, s3SecretAccessKey, urlTtlSeconds }) {
+  const region = s3Region || 'us-east-1';
+  const endpoint = new URL(s3Endpoint || `https://s3.${region}.amazonaws.com`);
+
+  function presign(file, filename) {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const canonicalPath = `/${encodeRfc3986(s3Bucket)}/${file.split('/').map(encodeRfc3986).join('/')}`;
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${s3AccessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(urlTtlSeconds),
+      'X-Amz-SignedHeaders': 'host',
+      'response-content-disposition': `attachment; filename*=UTF-8''${encodeRfc3986(filename)}`
+    };
+    const canonicalQuery = Object.keys(query).sort()
+      .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(query[key])}`)
+      .join('&');
+
+    const canonicalRequest = [
+      'GET',
+      canonicalPath,
+      canonicalQuery,
+      `host:${endpoint.host}\n`,
+      'host',
+      'UNSIGNED-PAYLOAD'
+    ].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${s3SecretAccessKey}`, date), region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return `${endpoint.origin}${canonicalPath}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+  }
+
+  return {
+    name: 's3',
+    async send(res, file, filename) {
+      // 存在確認はせず、見つからない場合はストレージ側が404を返す
+      res.redirect(302, presign(file, filename));
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  MATERIAL_STORAGES,
+  createMaterialStorage,
+  getMissingMaterialStorageEnvs
+};
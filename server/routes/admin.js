@@ -0,0 +1,416 @@
+'use strict';
+
+/**
+ * 管理画面のルート（/admin、ADMIN_PASSWORDでBasic認証）
+ *
+ * - 購入一覧・手動の視聴権限付与・メール再送
+ * - メール送信キュー・Webhookイベントの処理状況と再処理・視聴分析
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { WEBHOOK_EVENT_RETENTION_DAYS } = require('../services/webhook-events');
+const { VIEWING_CURVE_BUCKETS } = require('../services/viewing');
+const { asyncHandler } = require('./helpers');
+const { escapeHtml } = require('../views/html');
+const { generateAdminPage } = require('../views/admin-page');
+
+/**
+ * Origin・RefererヘッダーのURLのホスト（Origin: null や不正なURLはnull）
+ */
+function getOriginHost(origin) {
+  try {
+    return new URL(origin).host;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 管理画面のルーターを作成
+ */
+function createAdminRouter({
+  config, catalog, auditLog, entitlements, webhookEvents, notifications, viewing
+}) {
+  const router = express.Router();
+  const { recordAuditLog } = auditLog;
+  const {
+    loadEntitlements, findPurchaseByCheckoutSession, grantArchiveAccess, hasCircleAccess
+  } = entitlements;
+  const { loadProcessedEvents, replayWebhookEvents } = webhookEvents;
+  const {
+    loadFailedEmails, loadMailQueue, requeueEmail, buildPurchaseNotifications, sendPurchaseEmails
+  } = notifications;
+  const { summarizeViewingAnalytics } = viewing;
+
+  /**
+   * 管理画面のBasic認証（ADMIN_PASSWORD未設定時は無効）
+   */
+  function requireAdmin(req, res, next) {
+    if (!config.adminPassword) {
+      return res.status(503).send('管理画面は無効です（ADMIN_PASSWORD未設定）');
+    }
+
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    const credentials = scheme === 'Basic' && encoded ? Buffer.from(encoded, 'base64').toString('utf8') : '';
+    const password = credentials.slice(credentials.indexOf(':') + 1);
+
+    const expected = crypto.createHash('sha256').update(config.adminPassword).digest();
+    const actual = crypto.createHash('sha256').update(password).digest();
+    if (!credentials || !crypto.timingSafeEqual(expected, actual)) {
+      res.set('WWW-Authenticate', 'Basic realm="admin", charset="UTF-8"');
+      return res.status(401).send('認証が必要です');
+    }
+
+    // 更新系は同一オリジンからのみ受け付ける（CSRF対策）
+    if (req.method === 'POST') {
+      const origin = req.headers.origin || req.headers.referer;
+      if (!origin || getOriginHost(origin) !== req.get('host')) {
+        return res.status(403).send('不正なリクエストです');
+      }
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return next();
+  }
+
+  // GET /admin - 購入一覧（メールアドレスで絞り込み）
+  router.get('/admin', requireAdmin, asyncHandler(async (req, res) => {
+    const query = String(req.query.email || '').trim().toLowerCase();
+    const entitlements = await loadEntitlements();
+
+    const purchases = Object.entries(entitlements)
+      .filter(([email]) => !query || email.includes(query))
+      .flatMap(([email, entitlement]) => entitlement.purchases.map(purchase => ({ email, purchase })))
+      .sort((a, b) => b.purchase.created_at.localeCompare(a.purchase.created_at))
+      .slice(0, 200);
+
+    const circleMembers = Object.entries(entitlements)
+      .filter(([email, entitlement]) => entitlement.circle && (!query || email.includes(query)));
+
+    const purchaseRows = purchases.map(({ email, purchase }) => `
+      <tr>
+        <td>${escapeHtml(purchase.created_at.slice(0, 16).replace('T', ' '))}</td>
+        <td>${escapeHtml(email)}</td>
+        <td>${escapeHtml(purchase.source === 'manual'
+            ? `手動付与${purchase.note ? `（${purchase.note}）` : ''}`
+            : purchase.price_ids.map(id => catalog.productNameMap[id] || id).join('、'))}</td>
+        <td><span class="status status-${escapeHtml(purchase.status)}">${escapeHtml(purchase.status)}</span></td>
+        <td class="keys">${escapeHtml(purchase.session_keys.join(', '))}</td>
+        <td>
+          ${purchase.source !== 'manual' ? `
+          <form action="/admin/resend" method="POST">
+            <input type="hidden" name="email" value="${escapeHtml(email)}">
+            <input type="hidden" name="checkout_session_id" value="${escapeHtml(purchase.checkout_session_id)}">
+            <button type="submit">Zoom案内を再送</button>
+          </form>` : ''}
+        </td>
+      </tr>`).join('');
+
+    const circleRows = circleMembers.map(([email, entitlement]) => `
+      <tr>
+        <td>${escapeHtml(email)}</td>
+        <td><span class="status status-${escapeHtml(entitlement.circle.status)}">${escapeHtml(entitlement.circle.status)}</span></td>
+        <td>${escapeHtml(entitlement.circle.grace_until || '-')}</td>
+        <td>${hasCircleAccess(entitlement.circle) ? '✓' : '-'}</td>
+      </tr>`).join('');
+
+    const keyOptions = catalog.events.map(event => `
+        <fieldset>
+          <legend>${escapeHtml(event.title)}</legend>
+          ${Object.entries(event.archiveSessions).map(([key, session]) => `
+          <label><input type="checkbox" name="keys" value="${escapeHtml(`${event.slug}:${key}`)}"> ${escapeHtml(key)}: ${escapeHtml(session.name)}</label>`).join('')}
+        </fieldset>`).join('');
+
+    res.type('html').send(generateAdminPage('purchases', `
+    <form class="search" action="/admin" method="GET">
+      <input type="text" name="email" value="${escapeHtml(query)}" placeholder="メールアドレスで絞り込み">
+      <button type="submit">検索</button>
+    </form>
+
+    <h2>購入履歴（最新${purchases.length}件）</h2>
+    <table>
+      <tr><th>日時(UTC)</th><th>メールアドレス</th><th>商品</th><th>状態</th><th>アーカイブ</th><th></th></tr>
+      ${purchaseRows || '<tr><td colspan="6">購入履歴はありません</td></tr>'}
+    </table>
+
+    <h2>サークル会員</h2>
+    <table>
+      <tr><th>メールアドレス</th><th>状態</th><th>猶予期限</th><th>視聴可</th></tr>
+      ${circleRows || '<tr><td colspan="4">サークル会員はいません</td></tr>'}
+    </table>
+
+    <h2>アーカイブ視聴権限の手動付与</h2>
+    <form class="grant" action="/admin/grant" method="POST">
+      <input type="email" name="email" value="${escapeHtml(query)}" placeholder="メールアドレス" required>
+      <input type="text" name="note" placeholder="メモ（付与理由など）">
+      ${keyOptions}
+      <button type="submit">付与する</button>
+    </form>`, req.query.notice));
+  }));
+
+  // GET /admin/mail-queue - メール送信キュー
+  router.get('/admin/mail-queue', requireAdmin, asyncHandler(async (req, res) => {
+    const messages = (await loadMailQueue()).reverse();
+    const undelivered = messages.filter(message => message.status !== 'delivered');
+    const delivered = messages.filter(message => message.status === 'delivered').slice(0, 50);
+
+    const renderRows = list => list.map(message => `
+      <tr>
+        <td>${escapeHtml(message.created_at.slice(0, 16).replace('T', ' '))}</td>
+        <td><a href="/admin?email=${encodeURIComponent(message.to)}">${escapeHtml(message.to)}</a></td>
+        <td>${escapeHtml(message.subject)}${message.label ? `<br><span class="hint">${escapeHtml(message.label)}</span>` : ''}</td>
+        <td><span class="status status-${escapeHtml(message.status)}">${escapeHtml(message.status)}</span></td>
+        <td class="error">${message.attempts.map(attempt =>
+            `${escapeHtml(attempt.at.slice(0, 16).replace('T', ' '))} ${escapeHtml(attempt.error || 'OK')}`).join('<br>')}</td>
+        <td>
+          ${message.status === 'pending' ? escapeHtml((message.next_attempt_at || '').slice(0, 16).replace('T', ' ')) : ''}
+          ${message.status === 'dead' ? `
+          <form action="/admin/mail-queue/requeue" method="POST">
+            <input type="hidden" name="id" value="${escapeHtml(message.id)}">
+            <button type="submit">再送キューに戻す</button>
+          </form>` : ''}
+        </td>
+      </tr>`).join('');
+
+    const legacyRows = (await loadFailedEmails()).reverse().map(failed => `
+      <tr>
+        <td>${escapeHtml(failed.timestamp.slice(0, 16).replace('T', ' '))}</td>
+        <td><a href="/admin?email=${encodeURIComponent(failed.email)}">${escapeHtml(failed.email)}</a></td>
+        <td>${escapeHtml(failed.product_name || '')}</td>
+        <td class="error">${escapeHtml(failed.error)}</td>
+      </tr>`).join('');
+
+    const header = '<tr><th>登録日時(UTC)</th><th>宛先</th><th>件名</th><th>状態</th><th>試行履歴</th><th>次回送信</th></tr>';
+
+    res.type('html').send(generateAdminPage('mail-queue', `
+    <h2>未配信メール（${undelivered.length}件）</h2>
+    <table>
+      ${header}
+      ${renderRows(undelivered) || '<tr><td colspan="6">未配信メールはありません</td></tr>'}
+    </table>
+
+    <h2>配信済みメール（最新${delivered.length}件）</h2>
+    <table>
+      ${header}
+      ${renderRows(delivered) || '<tr><td colspan="6">配信済みメールはありません</td></tr>'}
+    </table>
+    ${legacyRows ? `
+
+    <h2>送信失敗記録（キュー導入前）</h2>
+    <p class="hint">本文が保存されていないため、購入一覧の「Zoom案内を再送」から再送してください。</p>
+    <table>
+      <tr><th>日時(UTC)</th><th>メールアドレス</th><th>商品</th><th>エラー</th></tr>
+      ${legacyRows}
+    </table>` : ''}`, req.query.notice));
+  }));
+
+  // POST /admin/mail-queue/requeue - 送信を諦めたメールを再送キューに戻す
+  router.post('/admin/mail-queue/requeue', requireAdmin, asyncHandler(async (req, res) => {
+    const message = await requeueEmail(String(req.body.id || ''));
+    if (!message) {
+      return res.redirect(303, `/admin/mail-queue?notice=${encodeURIComponent('対象のメールが見つかりません')}`);
+    }
+
+    await recordAuditLog({
+      action: 'admin_requeue_email',
+      email: message.to,
+      mail_id: message.id
+    });
+
+    return res.redirect(303, `/admin/mail-queue?notice=${encodeURIComponent('再送キューに戻しました（次回のキュー処理で送信されます）')}`);
+  }));
+
+  // GET /admin/events - Webhookイベントの処理状況
+  router.get('/admin/events', requireAdmin, asyncHandler(async (req, res) => {
+    const events = (await loadProcessedEvents()).slice(0, 500);
+    const rows = events.map(event => `
+      <tr>
+        <td>${escapeHtml((event.updated_at || event.processed_at || '-').slice(0, 16).replace('T', ' '))}</td>
+        <td>${escapeHtml(event.id)}</td>
+        <td>${escapeHtml(event.type || '-')}</td>
+        <td><span class="status status-${escapeHtml(event.status)}">${escapeHtml(event.status)}</span></td>
+        <td>${event.attempts || '-'}</td>
+        <td class="error">${escapeHtml(event.error || '')}</td>
+        <td>
+          ${event.status === 'failed' ? `
+          <form action="/admin/events/replay" method="POST">
+            <input type="hidden" name="event_ids" value="${escapeHtml(event.id)}">
+            <button type="submit">再処理</button>
+          </form>` : ''}
+        </td>
+      </tr>`).join('');
+
+    res.type('html').send(generateAdminPage('events', `
+    <h2>Webhookイベント（最新${events.length}件）</h2>
+    <p class="hint">failed のイベントはStripeのリトライで再処理されます。処理済み・失敗の記録は${WEBHOOK_EVENT_RETENTION_DAYS}日後に削除します。</p>
+    <table>
+      <tr><th>更新日時(UTC)</th><th>Event ID</th><th>種別</th><th>状態</th><th>処理回数</th><th>エラー</th><th></th></tr>
+      ${rows || '<tr><td colspan="7">処理済みイベントはありません</td></tr>'}
+    </table>
+
+    <h2>イベントの再処理</h2>
+    <p class="hint">StripeのイベントID（改行区切り）または作成日時の範囲（過去30日以内）を指定し、受信時と同じ処理を実行します。ドライランではデータを変更せず、送信されるメールを表示します。</p>
+    <form class="replay" action="/admin/events/replay" method="POST">
+      <textarea name="event_ids" rows="3" placeholder="evt_..."></textarea>
+      <input type="text" name="since" placeholder="開始日時（例: 2026-01-01T00:00+09:00）">
+      <input type="text" name="until" placeholder="終了日時">
+      <label><input type="checkbox" name="force" value="1"> 処理済みのイベントも再処理（メールも再送）</label>
+      <label><input type="checkbox" name="dry_run" value="1" checked> ドライラン</label>
+      <button type="submit">再処理</button>
+    </form>`, req.query.notice));
+  }));
+
+  // POST /admin/events/replay - Webhookイベントの再処理（ドライランでは送信されるメールを表示）
+  router.post('/admin/events/replay', requireAdmin, asyncHandler(async (req, res) => {
+    const eventIds = String(req.body.event_ids || '').split(/[\s,]+/).filter(Boolean);
+    const since = String(req.body.since || '').trim() || undefined;
+    const until = String(req.body.until || '').trim() || undefined;
+    const force = req.body.force === '1';
+    const dryRun = req.body.dry_run === '1';
+
+    if (eventIds.length === 0 && !since && !until) {
+      return res.redirect(303, `/admin/events?notice=${encodeURIComponent('イベントIDまたは日時の範囲を指定してください')}`);
+    }
+
+    let results;
+    try {
+      results = await replayWebhookEvents({ eventIds, since, until, force, dryRun });
+    } catch (err) {
+      console.error('[Webhook] 再処理するイベントを取得できません:', err.message);
+      return res.redirect(303, `/admin/events?notice=${encodeURIComponent(`イベントを取得できませんでした: ${err.message}`)}`);
+    }
+
+    if (!dryRun) {
+      await recordAuditLog({
+        action: 'admin_replay_webhook_events',
+        force,
+        results: results.map(({ id, status, reason }) => ({ id, status, reason }))
+      });
+    }
+
+    const statusLabels = { processed: '再処理済み', dry_run: 'ドライラン', skipped: 'スキップ', failed: '失敗' };
+    const rows = results.map(result => `
+      <tr>
+        <td>${escapeHtml(result.id)}</td>
+        <td>${escapeHtml(result.type)}</td>
+        <td><span class="status status-${escapeHtml(result.status)}">${statusLabels[result.status]}</span></td>
+        <td>
+          ${result.reason ? escapeHtml(result.reason) : ''}
+          ${result.emails.map(email => `
+          <details>
+            <summary>${escapeHtml(email.to)}「${escapeHtml(email.subject)}」</summary>
+            <pre>${escapeHtml(email.text)}</pre>
+          </details>`).join('')}
+          ${result.status === 'dry_run' && result.emails.length === 0 ? '<span class="hint">送信されるメールはありません</span>' : ''}
+        </td>
+      </tr>`).join('');
+
+    res.type('html').send(generateAdminPage('events', `
+    <h2>再処理の結果${dryRun ? '（ドライラン：データ・メールは変更していません）' : ''}</h2>
+    <table>
+      <tr><th>Event ID</th><th>種別</th><th>結果</th><th>詳細</th></tr>
+      ${rows || '<tr><td colspan="4">対象のイベントはありません</td></tr>'}
+    </table>
+    <p><a href="/admin/events">Webhookイベント一覧に戻る</a></p>`));
+  }));
+
+  // GET /admin/analytics - アーカイブの視聴分析（ユニーク視聴者・総視聴時間・離脱曲線）
+  router.get('/admin/analytics', requireAdmin, asyncHandler(async (req, res) => {
+    const formatWatchTime = seconds => {
+      const minutes = Math.round(seconds / 60);
+      return minutes >= 60 ? `${Math.floor(minutes / 60)}時間${minutes % 60}分` : `${minutes}分`;
+    };
+    const formatRate = (count, total) => total ? `${Math.round(count / total * 100)}%` : '-';
+
+    const rows = (await summarizeViewingAnalytics()).map(summary => {
+      const { entry, uniqueViewers } = summary;
+      const bucketPercent = 100 / VIEWING_CURVE_BUCKETS;
+      const curve = summary.curve.map((count, i) => {
+        const rate = uniqueViewers ? count / uniqueViewers * 100 : 0;
+        return `<span class="bar" style="height: ${Math.max(rate, 1).toFixed(1)}%" title="${i * bucketPercent}〜${(i + 1) * bucketPercent}%: ${count}人"></span>`;
+      }).join('');
+
+      return `
+      <tr>
+        <td>${escapeHtml(entry.event.title)} ${escapeHtml(entry.key)}<br><span class="hint">${escapeHtml(entry.session.name)}</span></td>
+        <td>${uniqueViewers}人</td>
+        <td>${formatWatchTime(summary.watchSeconds)}${uniqueViewers ? `<br><span class="hint">平均 ${formatWatchTime(summary.watchSeconds / uniqueViewers)}</span>` : ''}</td>
+        <td>${[25, 50, 75].map(q => `${q}%: ${formatRate(summary.quartiles[q], uniqueViewers)}`).join('<br>')}</td>
+        <td>${summary.completions}人（${formatRate(summary.completions, uniqueViewers)}）</td>
+        <td><div class="curve">${curve}</div></td>
+      </tr>`;
+    }).join('');
+
+    res.type('html').send(generateAdminPage('analytics', `
+    <h2>アーカイブ視聴分析</h2>
+    <p class="hint">到達率・離脱曲線は、シークで飛ばした部分を除き実際に再生された位置をもとに集計しています。離脱曲線は動画を${VIEWING_CURVE_BUCKETS}等分した各区間を視聴したユーザーの割合です。</p>
+    <table>
+      <tr><th>セッション</th><th>ユニーク視聴者</th><th>総視聴時間</th><th>到達率</th><th>視聴完了</th><th>離脱曲線</th></tr>
+      ${rows}
+    </table>`, req.query.notice));
+  }));
+
+  // POST /admin/resend - 参加情報メールの再送
+  router.post('/admin/resend', requireAdmin, asyncHandler(async (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const found = await findPurchaseByCheckoutSession(String(req.body.checkout_session_id || ''));
+
+    if (!found || found.email !== email) {
+      return res.redirect(303, `/admin?email=${encodeURIComponent(email)}&notice=${encodeURIComponent('購入記録が見つかりません')}`);
+    }
+
+    const notifications = buildPurchaseNotifications(found.purchase.price_ids);
+    if (notifications.length === 0) {
+      return res.redirect(303, `/admin?email=${encodeURIComponent(email)}&notice=${encodeURIComponent('Zoom案内の対象商品ではありません')}`);
+    }
+
+    const result = await sendPurchaseEmails(email, notifications, {
+      registerZoom: found.purchase.status === 'paid'
+    });
+
+    await recordAuditLog({
+      action: 'admin_resend',
+      email,
+      checkout_session_id: found.purchase.checkout_session_id,
+      result
+    });
+
+    const notice = result.blocked > 0
+      ? `再送しました（送信 ${result.sent}件 / 再送待ち ${result.queued}件 / 送信中止 ${result.blocked}件：Zoom登録URLなどの必須項目が不足しています）`
+      : `再送しました（送信 ${result.sent}件 / 再送待ち ${result.queued}件）`;
+    return res.redirect(303, `/admin?email=${encodeURIComponent(email)}&notice=${encodeURIComponent(notice)}`);
+  }));
+
+  // POST /admin/grant - アーカイブ視聴権限の手動付与
+  router.post('/admin/grant', requireAdmin, asyncHandler(async (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const keys = [].concat(req.body.keys || []).map(String);
+    const note = String(req.body.note || '').trim();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.redirect(303, `/admin?notice=${encodeURIComponent('有効なメールアドレスを入力してください')}`);
+    }
+
+    const grant = await grantArchiveAccess(email, keys, note);
+    if (!grant) {
+      return res.redirect(303, `/admin?email=${encodeURIComponent(email)}&notice=${encodeURIComponent('付与するアーカイブを選択してください')}`);
+    }
+
+    await recordAuditLog({
+      action: 'admin_grant',
+      email,
+      checkout_session_id: grant.checkout_session_id,
+      granted_session_keys: grant.session_keys,
+      reason: note || null
+    });
+
+    return res.redirect(303, `/admin?email=${encodeURIComponent(email)}&notice=${encodeURIComponent('視聴権限を付与しました')}`);
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
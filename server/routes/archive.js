@@ -0,0 +1,342 @@
+'use strict';
+
+/**
+ * アーカイブ動画のルート（/archive）
+ *
+ * - メールアドレスの購入確認 → ログインリンク（ワンタイム）→ 視聴セッション（署名付きCookie）
+ * - ライブラリ・動画ページ・再生位置と視聴イベントの記録
+ * - 配布資料のダウンロードとHLSの自前配信
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { normalizeHlsPath, isHlsPlaylist, rewriteHlsPlaylist } = require('../hls');
+const { ARCHIVE_SESSION_COOKIE } = require('../services/archive-access');
+const { asyncHandler, getBaseUrl } = require('./helpers');
+const { escapeHtml } = require('../views/html');
+const { createArchivePages } = require('../views/archive-pages');
+const { createArchiveVideoPage } = require('../views/archive-video-page');
+
+// 動画ページで読み込むhls.js（バージョンはpackage.jsonで固定し、CDNを使わずアプリから配信する）
+const HLS_JS_PATH = require.resolve('hls.js/dist/hls.min.js');
+
+/**
+ * アーカイブ動画のルーターを作成
+ */
+function createArchiveRouter({
+  config, catalog, materialStorage, renderEmailTemplate, auditLog, entitlements, notifications,
+  archiveAccess, viewing
+}) {
+  const router = express.Router();
+  const { findArchiveSession } = catalog;
+  const { recordMaterialDownload } = auditLog;
+  const { getCircleMembership, hasCircleAccess, getEntitledSessionKeys } = entitlements;
+  const { sendEmail } = notifications;
+  const {
+    checkArchiveRateLimit, signHlsUrl, verifyHlsSignature, getArchiveSession, issueArchiveSession,
+    getArchiveViewerKeys, createArchiveLoginToken, findArchiveLoginToken, consumeArchiveLoginToken
+  } = archiveAccess;
+  const { getWatchProgress, recordWatchProgress, recordViewingEvent, parseViewingEvent } = viewing;
+  const {
+    generateArchiveLoginPage, generateArchiveLibraryPage, generateArchiveErrorPage,
+    generateArchiveNoticePage
+  } = createArchivePages({ catalog });
+  const { generateArchiveVideoPage } = createArchiveVideoPage({ catalog, archiveAccess });
+
+  /**
+   * 視聴セッションで現在視聴できるセッションキー
+   * Cookieのセッションキーを最新のエンタイトルメントで絞り込む（返金・退会・猶予期間の終了後はすぐに視聴不可）
+   */
+  async function getEntitledViewerKeys(archiveSession) {
+    const entitledKeys = new Set(await getEntitledSessionKeys(archiveSession.email));
+    return getArchiveViewerKeys(archiveSession).filter(k => entitledKeys.has(k));
+  }
+
+  // GET /archive - ライブラリ（ログイン済み）/ メール入力フォーム
+  router.get('/archive', asyncHandler(async (req, res) => {
+    // 有効な視聴セッションがあれば再認証せずライブラリを表示
+    const archiveSession = getArchiveSession(req);
+    if (archiveSession) {
+      const circle = archiveSession.circle && hasCircleAccess(await getCircleMembership(archiveSession.email));
+      res.set('Cache-Control', 'private, no-store');
+      return res.type('html').send(generateArchiveLibraryPage(
+        { ...archiveSession, circle },
+        await getEntitledViewerKeys(archiveSession)
+      ));
+    }
+
+    res.type('html').send(generateArchiveLoginPage());
+  }));
+
+  // POST /archive/verify - 購入確認 → ログインリンクをメール送信
+  router.post('/archive/verify', asyncHandler(async (req, res) => {
+    const email = (req.body.email || '').trim().toLowerCase();
+
+    // バリデーション
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.type('html').send(generateArchiveErrorPage('有効なメールアドレスを入力してください。'));
+    }
+
+    // レートリミットチェック
+    if (!(await checkArchiveRateLimit(email))) {
+      return res.status(429).type('html').send(
+        generateArchiveErrorPage('リクエスト回数の上限に達しました。しばらく時間をおいてから再度お試しください。')
+      );
+    }
+
+    try {
+      const sessionKeys = await getEntitledSessionKeys(email);
+
+      if (sessionKeys.length === 0) {
+        return res.type('html').send(
+          generateArchiveErrorPage('購入履歴またはサークル会員情報が見つかりませんでした。<br>購入時に使用したメールアドレスをご確認ください。')
+        );
+      }
+
+      // メールアドレスの所有確認のため、ワンタイムのログインリンクを送信
+      const token = await createArchiveLoginToken(email);
+      const loginUrl = `${getBaseUrl(req, config.publicBaseUrl)}/archive/login?token=${encodeURIComponent(token)}`;
+
+      try {
+        // ログインリンクは有効期限が短いため、キューを使わずその場で送信
+        await sendEmail(email, renderEmailTemplate('archiveLogin', { loginUrl }));
+      } catch (mailErr) {
+        console.error(`[メール送信失敗] ${email}: ${mailErr.message}`);
+        return res.status(500).type('html').send(
+          generateArchiveErrorPage('ログインリンクを送信できませんでした。しばらく時間をおいてから再度お試しください。', '送信に失敗しました')
+        );
+      }
+
+      return res.type('html').send(generateArchiveNoticePage(
+        'メールを送信しました',
+        `${escapeHtml(email)} 宛にログインリンクをお送りしました。<br>メール内のリンクから${config.archiveLoginLinkTtlMinutes}分以内にログインしてください。`,
+        '<a href="/archive" class="action-btn">メールアドレスを入力し直す</a>'
+      ));
+
+    } catch (err) {
+      console.error('[Archive] 認証エラー:', err.message);
+      return res.status(500).type('html').send(
+        generateArchiveErrorPage('サーバーエラーが発生しました。しばらく時間をおいてから再度お試しください。')
+      );
+    }
+  }));
+
+  // GET /archive/login - ログインリンク確認（メールのリンク先読みでトークンを消費しないようPOSTで確定）
+  router.get('/archive/login', asyncHandler(async (req, res) => {
+    const token = String(req.query.token || '');
+
+    if (!(await findArchiveLoginToken(token))) {
+      return res.status(410).type('html').send(
+        generateArchiveErrorPage('このログインリンクは使用済みか、有効期限が切れています。<br>お手数ですが、もう一度メールアドレスを入力してください。', 'リンクが無効です')
+      );
+    }
+
+    return res.type('html').send(generateArchiveNoticePage(
+      'アーカイブ動画にログイン',
+      '下のボタンを押すとアーカイブ動画ページが開きます。',
+      `<form action="/archive/login" method="POST">
+        <input type="hidden" name="token" value="${escapeHtml(token)}">
+        <button type="submit" class="action-btn">動画を視聴する</button>
+      </form>`
+    ));
+  }));
+
+  // POST /archive/login - ログインリンク消費 → 視聴セッション発行
+  router.post('/archive/login', asyncHandler(async (req, res) => {
+    const link = await consumeArchiveLoginToken(String(req.body.token || ''));
+
+    if (!link) {
+      return res.status(410).type('html').send(
+        generateArchiveErrorPage('このログインリンクは使用済みか、有効期限が切れています。<br>お手数ですが、もう一度メールアドレスを入力してください。', 'リンクが無効です')
+      );
+    }
+
+    console.log(`[Archive] ログイン: ${link.email}`);
+
+    // 視聴セッションを発行し、GETのライブラリへリダイレクト（リロードで再認証しない）
+    const sessionKeys = await getEntitledSessionKeys(link.email);
+    const circle = hasCircleAccess(await getCircleMembership(link.email));
+    issueArchiveSession(req, res, link.email, sessionKeys, circle);
+    return res.redirect(303, '/archive');
+  }));
+
+  // GET /archive/watch - 旧視聴ページ（ライブラリへ）
+  router.get('/archive/watch', (req, res) => {
+    return res.redirect('/archive');
+  });
+
+  // GET /archive/logout - 視聴セッション破棄
+  router.get('/archive/logout', (req, res) => {
+    res.clearCookie(ARCHIVE_SESSION_COOKIE, { path: '/archive' });
+    return res.redirect('/archive');
+  });
+
+  // POST /archive/progress - 再生位置の記録（動画ページから定期送信・sendBeaconはtext/plainで届く）
+  router.post('/archive/progress', express.json({ type: ['application/json', 'text/plain'], limit: '1kb' }), asyncHandler(async (req, res) => {
+    const archiveSession = getArchiveSession(req);
+    if (!archiveSession) {
+      return res.status(401).json({ error: '視聴セッションがありません' });
+    }
+
+    const { key, position, duration } = req.body || {};
+    if (typeof key !== 'string' || !(await getEntitledViewerKeys(archiveSession)).includes(key)) {
+      return res.status(403).json({ error: '視聴権限がありません' });
+    }
+    if (!Number.isFinite(position) || !Number.isFinite(duration) || duration <= 0 || position < 0 || position > duration) {
+      return res.status(400).json({ error: '再生位置が不正です' });
+    }
+
+    const saved = await recordWatchProgress(archiveSession.email, key, position, duration);
+    return res.json({ completed: saved.completed });
+  }));
+
+  // POST /archive/analytics - 視聴イベントの記録（再生・一時停止・シーク・25/50/75%到達・視聴完了）
+  router.post('/archive/analytics', express.json({ type: ['application/json', 'text/plain'], limit: '1kb' }), asyncHandler(async (req, res) => {
+    const archiveSession = getArchiveSession(req);
+    if (!archiveSession) {
+      return res.status(401).json({ error: '視聴セッションがありません' });
+    }
+
+    const key = req.body?.key;
+    if (typeof key !== 'string' || !(await getEntitledViewerKeys(archiveSession)).includes(key)) {
+      return res.status(403).json({ error: '視聴権限がありません' });
+    }
+
+    const viewingEvent = parseViewingEvent(req.body);
+    if (!viewingEvent) {
+      return res.status(400).json({ error: 'イベントが不正です' });
+    }
+
+    await recordViewingEvent(archiveSession.email, key, viewingEvent);
+    return res.status(204).end();
+  }));
+
+  // GET /archive/:eventSlug/materials/:sessionKey/:materialId - 配布資料のダウンロード
+  // Cookieのセッションキーではなく最新のエンタイトルメントで確認する（返金・退会後はすぐにダウンロード不可）
+  router.get('/archive/:eventSlug/materials/:sessionKey/:materialId', asyncHandler(async (req, res) => {
+    const archiveSession = getArchiveSession(req);
+    if (!archiveSession) {
+      return res.redirect('/archive');
+    }
+
+    const entry = findArchiveSession(`${req.params.eventSlug}:${req.params.sessionKey}`);
+    const material = entry?.event.slug === req.params.eventSlug && entry.key === req.params.sessionKey
+      ? entry.session.materials.find(m => m.id === req.params.materialId)
+      : null;
+    if (!material) {
+      return res.status(404).type('html').send(
+        generateArchiveErrorPage('指定された資料は存在しません。', 'ページが見つかりません')
+      );
+    }
+
+    if (!(await getEntitledSessionKeys(archiveSession.email)).includes(entry.qualifiedKey)) {
+      return res.status(403).type('html').send(
+        generateArchiveErrorPage('この資料をダウンロードする権限がありません。', '視聴権限がありません')
+      );
+    }
+
+    try {
+      res.set('Cache-Control', 'private, no-store');
+      const sent = await materialStorage.send(res, material.file, material.filename);
+      if (!sent) {
+        console.error(`[配布資料] ファイルが見つかりません: ${material.file}`);
+        return res.status(404).type('html').send(
+          generateArchiveErrorPage('資料を準備中です。しばらく時間をおいてから再度お試しください。', 'ファイルが見つかりません')
+        );
+      }
+
+      await recordMaterialDownload({
+        email: archiveSession.email,
+        session_key: entry.qualifiedKey,
+        material_id: material.id,
+        storage: materialStorage.name
+      });
+    } catch (err) {
+      console.error(`[配布資料] ダウンロードエラー: ${material.file}: ${err.message}`);
+      if (!res.headersSent) {
+        return res.status(500).type('html').send(
+          generateArchiveErrorPage('サーバーエラーが発生しました。しばらく時間をおいてから再度お試しください。')
+        );
+      }
+    }
+  }));
+
+  // GET /archive/assets/hls.min.js - 自前配信動画（HLS）のプレイヤー
+  router.get('/archive/assets/hls.min.js', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.sendFile(HLS_JS_PATH);
+  });
+
+  // GET /archive/:eventSlug/hls/:sessionKey/* - 自前配信動画（HLS）のプレイリスト・セグメント
+  router.get('/archive/:eventSlug/hls/:sessionKey/*', asyncHandler(async (req, res) => {
+    const archiveSession = getArchiveSession(req);
+    if (!archiveSession) {
+      return res.status(401).type('text').send('視聴セッションがありません');
+    }
+
+    const entry = findArchiveSession(`${req.params.eventSlug}:${req.params.sessionKey}`);
+    const file = normalizeHlsPath(req.params[0]);
+    if (!entry || entry.event.slug !== req.params.eventSlug || entry.key !== req.params.sessionKey ||
+        entry.session.video?.provider !== 'hls' || !file) {
+      return res.status(404).type('text').send('Not Found');
+    }
+
+    // セグメントも最新のエンタイトルメントで確認する（返金・退会後は署名付きURLの期限内でも読み込めない）
+    if (!verifyHlsSignature(archiveSession.email, entry.qualifiedKey, file, req.query.exp, req.query.sig) ||
+        !(await getEntitledViewerKeys(archiveSession)).includes(entry.qualifiedKey)) {
+      return res.status(403).type('text').send('視聴権限がないか、URLの有効期限が切れています');
+    }
+
+    const filePath = path.join(config.hlsDir, path.posix.dirname(entry.session.video.playlist), file);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).type('text').send('Not Found');
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+
+    if (isHlsPlaylist(file)) {
+      const playlist = rewriteHlsPlaylist(fs.readFileSync(filePath, 'utf8'), file,
+        target => signHlsUrl(archiveSession.email, entry, target, config.hlsSegmentUrlTtlSeconds));
+      return res.type('application/vnd.apple.mpegurl').send(playlist);
+    }
+
+    // fMP4セグメントは拡張子からMIMEタイプが決まらないため明示する
+    if (file.endsWith('.m4s')) res.type('video/iso.segment');
+    return res.sendFile(filePath);
+  }));
+
+  // GET /archive/:eventSlug - イベントごとの動画ページ（視聴セッション必須）
+  router.get('/archive/:eventSlug', asyncHandler(async (req, res) => {
+    const archiveSession = getArchiveSession(req);
+    if (!archiveSession) {
+      return res.redirect('/archive');
+    }
+
+    const event = catalog.eventMap[req.params.eventSlug];
+    if (!event) {
+      return res.status(404).type('html').send(
+        generateArchiveErrorPage('指定されたアーカイブは存在しません。', 'ページが見つかりません')
+      );
+    }
+
+    const sessionKeys = (await getEntitledViewerKeys(archiveSession)).filter(k => k.startsWith(`${event.slug}:`));
+    if (sessionKeys.length === 0) {
+      return res.status(403).type('html').send(
+        generateArchiveErrorPage(`${escapeHtml(event.title)} のアーカイブを視聴する権限がありません。`, '視聴権限がありません')
+      );
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    return res.type('html').send(generateArchiveVideoPage(event, sessionKeys, {
+      email: archiveSession.email,
+      progress: await getWatchProgress(archiveSession.email)
+    }));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createArchiveRouter
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * 定期実行のルート（/cron、CRON_SECRETで認証）
+ *
+ * - メール送信キューの再送・配信キャンペーン
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+/**
+ * 定期実行のルーターを作成
+ */
+function createCronRouter({ config, notifications, campaigns }) {
+  const router = express.Router();
+  const { processMailQueue } = notifications;
+  const { processCampaigns } = campaigns;
+
+  /**
+   * Vercel Cronからの呼び出しを認証（Authorization: Bearer CRON_SECRET）
+   */
+  function requireCron(req, res, next) {
+    if (!config.cronSecret) {
+      return res.status(503).json({ error: 'CRON_SECRET is not configured' });
+    }
+
+    const expected = crypto.createHash('sha256').update(`Bearer ${config.cronSecret}`).digest();
+    const actual = crypto.createHash('sha256').update(req.headers.authorization || '').digest();
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return next();
+  }
+
+  // メール送信キューの再送
+  router.get('/cron/mail-queue', requireCron, async (req, res) => {
+    try {
+      const result = await processMailQueue();
+      console.log(`[メールキュー] 処理 ${result.processed}件 (配信 ${result.delivered} / 再試行待ち ${result.retrying} / dead ${result.dead})`);
+      return res.json(result);
+    } catch (err) {
+      console.error('[メールキュー] 処理エラー:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // 配信キャンペーン（開催前リマインダー・アーカイブ公開のお知らせ）
+  router.get('/cron/campaigns', requireCron, async (req, res) => {
+    try {
+      const result = await processCampaigns();
+      console.log(`[キャンペーン] 登録 ${result.queued}件 / 送信中止 ${result.blocked}件`);
+      return res.json(result);
+    } catch (err) {
+      console.error('[キャンペーン] 処理エラー:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createCronRouter
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * イベントページのルート（/events/:slug）
+ */
+
+const express = require('express');
+const { generateEventTicketPage } = require('../views/event-page');
+
+/**
+ * イベントページのルーターを作成
+ */
+function createEventRouter({ catalog }) {
+  const router = express.Router();
+
+  // イベントチケット購入ページ（カタログのイベントごと）
+  router.get('/events/:slug', (req, res) => {
+    const event = catalog.eventMap[req.params.slug];
+    if (!event) {
+      return res.status(404).send('Not Found');
+    }
+    res.type('html').send(generateEventTicketPage(event));
+  });
+
+  // AI FES 購入ページ（旧URL）
+  router.get('/aifes', (req, res) => {
+    res.redirect(301, '/events/aifes');
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEventRouter
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * ヘルスチェックのルート（GET /healthz）
+ */
+
+const express = require('express');
+
+/**
+ * ヘルスチェックのルーターを作成
+ */
+function createHealthRouter() {
+  const router = express.Router();
+
+  // ヘルスチェック
+  router.get('/healthz', (req, res) => {
+    res.send('ok');
+  });
+
+  return router;
+}
+
+module.exports = {
+  createHealthRouter
+};
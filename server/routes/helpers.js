@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * ルートの共通ヘルパー
+ */
+
+/**
+ * asyncのルートハンドラーで発生した例外（ストレージのエラーなど）をExpressのエラー処理に渡す
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+/**
+ * 公開URLのベースを取得（PUBLIC_BASE_URL優先）
+ */
+function getBaseUrl(req, publicBaseUrl) {
+  if (publicBaseUrl) return publicBaseUrl.replace(/\/+$/, '');
+  const proto = req.headers['x-forwarded-proto'] || req.protocol;
+  return `${proto}://${req.get('host')}`;
+}
+
+module.exports = {
+  asyncHandler,
+  getBaseUrl
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * サークル入会のルート（/register）
+ */
+
+const express = require('express');
+const { CIRCLE_PRODUCT_ID } = require('../services/entitlements');
+const { getBaseUrl } = require('./helpers');
+const { escapeHtml } = require('../views/html');
+const { generateRegisterPage, generateRegisterResultPage } = require('../views/register-pages');
+
+/**
+ * メールアドレスを一部伏せて表示用にする（"circle@example.com" → "c*****@example.com"）
+ * 完了ページはURLのsession_idだけで表示できるため、本人以外にメールアドレスを見せない
+ */
+function maskEmail(email) {
+  const at = email.lastIndexOf('@');
+  if (at < 1) return '*****';
+  return `${email[0]}${'*'.repeat(Math.max(at - 1, 3))}${email.slice(at)}`;
+}
+
+/**
+ * サークル入会のルーターを作成
+ */
+function createRegisterRouter({ config, stripe }) {
+  const router = express.Router();
+
+  // サークル会員のPrice ID（未設定の場合は商品のdefault_priceを取得してキャッシュ）
+  let circlePriceIdCache = config.circlePriceId || null;
+
+  /**
+   * サークル会員のPrice IDを取得
+   */
+  async function getCirclePriceId() {
+    if (circlePriceIdCache) return circlePriceIdCache;
+
+    const product = await stripe.products.retrieve(CIRCLE_PRODUCT_ID);
+    const defaultPrice = typeof product.default_price === 'string'
+      ? product.default_price
+      : product.default_price?.id;
+
+    if (!defaultPrice) {
+      throw new Error(`サークル商品にdefault_priceが設定されていません: ${CIRCLE_PRODUCT_ID}`);
+    }
+
+    circlePriceIdCache = defaultPrice;
+    return circlePriceIdCache;
+  }
+
+  // GET /register - 入会プラン案内
+  router.get('/register', (req, res) => {
+    res.type('html').send(generateRegisterPage());
+  });
+
+  // POST /register/checkout - Stripe Checkout（サブスクリプション）へ遷移
+  router.post('/register/checkout', async (req, res) => {
+    try {
+      const priceId = await getCirclePriceId();
+      const baseUrl = getBaseUrl(req, config.publicBaseUrl);
+
+      const session = await stripe.checkout.sessions.create({
+        mode: 'subscription',
+        line_items: [{ price: priceId, quantity: 1 }],
+        allow_promotion_codes: true,
+        success_url: `${baseUrl}/register/success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${baseUrl}/register`
+      });
+
+      console.log(`[サークル入会] Checkout Session作成: ${session.id}`);
+      return res.redirect(303, session.url);
+    } catch (err) {
+      console.error('[サークル入会] Checkout Session作成エラー:', err.message);
+      return res.status(500).type('html').send(
+        generateRegisterResultPage(
+          'エラーが発生しました',
+          'お手続きを開始できませんでした。<br>しばらく時間をおいてから再度お試しください。',
+          false
+        )
+      );
+    }
+  });
+
+  // GET /register/success - 入会完了
+  router.get('/register/success', async (req, res) => {
+    const sessionId = String(req.query.session_id || '');
+    let email = null;
+
+    if (sessionId.startsWith('cs_')) {
+      try {
+        const session = await stripe.checkout.sessions.retrieve(sessionId);
+        email = session.customer_details?.email || session.customer_email || null;
+      } catch (err) {
+        console.error(`[サークル入会] Checkout Session取得エラー (session: ${sessionId}):`, err.message);
+      }
+    }
+
+    const message = email
+      ? `ご入会ありがとうございます。<br>${escapeHtml(maskEmail(email))} 宛に会員特典のご案内をお送りしました。`
+      : 'ご入会ありがとうございます。<br>ご登録のメールアドレス宛に会員特典のご案内をお送りしました。';
+
+    res.type('html').send(generateRegisterResultPage('ご入会ありがとうございます', message, true));
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRegisterRouter
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Stripe Webhookのルート（POST /stripe/webhook）
+ *
+ * - 署名検証（STRIPE_WEBHOOK_SECRET）のため、JSONとして解析せず生のボディを受け取る
+ * - イベントを処理中として確保してから処理し、失敗したら500を返してStripeにリトライさせる
+ */
+
+const express = require('express');
+const { asyncHandler } = require('./helpers');
+
+/**
+ * Stripe Webhookのルーターを作成
+ */
+function createWebhookRouter({ config, stripe, webhookEventContext, webhookEvents, stripeEvents }) {
+  const router = express.Router();
+  const {
+    claimWebhookEvent, completeWebhookEvent, failWebhookEvent, pruneProcessedEvents
+  } = webhookEvents;
+  const { handleWebhookEvent } = stripeEvents;
+
+  // Stripe Webhook（raw body必須）
+  router.post('/stripe/webhook', express.raw({ type: 'application/json' }), asyncHandler(async (req, res) => {
+    let event;
+
+    try {
+      const sig = req.headers['stripe-signature'];
+      event = stripe.webhooks.constructEvent(req.body, sig, config.stripeWebhookSecret);
+    } catch (err) {
+      console.error('[Webhook] 署名検証失敗:', err.message);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    // 冪等性：処理中として確保できたリクエストだけが処理する
+    const claim = await claimWebhookEvent(event);
+    if (!claim.claimed) {
+      if (claim.status === 'done') {
+        console.log(`[Webhook] 既に処理済み: ${event.id}`);
+        return res.json({ received: true, status: 'already_processed' });
+      }
+
+      // 他のリクエストが処理中（失敗した場合に備えて、Stripeに後でリトライさせる）
+      console.log(`[Webhook] 他のリクエストが処理中: ${event.id}`);
+      return res.status(409).json({ received: true, status: 'processing' });
+    }
+
+    console.log(`[Webhook] イベント受信: ${event.type} (${event.id})`);
+
+    try {
+      await webhookEventContext.run({ eventId: event.id }, () => handleWebhookEvent(event));
+      await completeWebhookEvent(event.id);
+    } catch (err) {
+      console.error('[Webhook] 処理エラー:', err);
+      await failWebhookEvent(event.id, err);
+      return res.status(500).send('Webhook handler error');
+    }
+
+    await pruneProcessedEvents().catch(err => {
+      console.error('[Webhook] 処理済みイベントの削除エラー:', err.message);
+    });
+
+    return res.json({ received: true });
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createWebhookRouter
+};
@@ -0,0 +1,273 @@
+'use strict';
+
+/**
+ * アーカイブ動画の視聴認証
+ *
+ * - ログインリンク（ワンタイム）の発行・確認とレートリミット
+ * - 視聴セッション（署名付きCookie）の発行・検証
+ * - HLSの視聴者ごとの署名付きURL
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+// アーカイブ視聴セッション（署名付きCookie）
+const ARCHIVE_SESSION_COOKIE = 'archive_session';
+
+// ログインリンクの請求のレートリミット（メールごとに10分間で最大5回）
+const ARCHIVE_VERIFY_RATE_LIMIT_WINDOW_MS = 10 * 60 * 1000;
+const ARCHIVE_VERIFY_RATE_LIMIT_MAX_REQUESTS = 5;
+
+/**
+ * アーカイブ視聴認証のサービスを作成
+ */
+function createArchiveAccessService({ config, catalog, storage, clock }) {
+  const { sortArchiveKeys } = catalog;
+
+  // 視聴セッション・HLSのURLの署名鍵（未設定時はプロセスごとの一時鍵。再起動でセッション無効）
+  const archiveSessionKey = config.archiveSessionSecret || crypto.randomBytes(32).toString('hex');
+
+  // アーカイブ認証レートリミッター（メールごとに10分間で最大5回、ストレージに記録して複数インスタンスで共有）
+  async function checkArchiveRateLimit(email) {
+    const now = clock.now();
+    const key = `archive_verify:${email.toLowerCase().trim()}`;
+
+    let allowed = false;
+    await storage.update('rate_limits', key, current => {
+      const timestamps = (current?.timestamps || []).filter(t => now - t < ARCHIVE_VERIFY_RATE_LIMIT_WINDOW_MS);
+      allowed = timestamps.length < ARCHIVE_VERIFY_RATE_LIMIT_MAX_REQUESTS;
+      if (allowed) timestamps.push(now);
+      return { timestamps };
+    });
+    await pruneArchiveRateLimits(now);
+    return allowed;
+  }
+
+  /**
+   * 期間内のリクエストがなくなったレートリミットの記録を削除（1プロセスにつき期間ごとに1回）
+   * 公開フォームに送られたメールアドレスの記録が残り続けないようにする
+   */
+  let rateLimitsPrunedAt = 0;
+  async function pruneArchiveRateLimits(now = clock.now()) {
+    if (now - rateLimitsPrunedAt < ARCHIVE_VERIFY_RATE_LIMIT_WINDOW_MS) return 0;
+    rateLimitsPrunedAt = now;
+
+    let pruned = 0;
+    for (const [key, record] of Object.entries(await storage.list('rate_limits'))) {
+      if ((record.timestamps || []).every(t => now - t >= ARCHIVE_VERIFY_RATE_LIMIT_WINDOW_MS)) {
+        await storage.delete('rate_limits', key);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * アーカイブ視聴トークンを署名付きで生成
+   */
+  function signArchiveToken(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', archiveSessionKey).update(body).digest('base64url');
+    return `${body}.${signature}`;
+  }
+
+  /**
+   * HLSのプレイリスト・セグメントの署名（視聴者・セッション・ファイル・期限に対して）
+   */
+  function createHlsSignature(email, qualifiedKey, file, expiresAt) {
+    return crypto.createHmac('sha256', archiveSessionKey)
+      .update(['hls', email, qualifiedKey, file, expiresAt].join('\n'))
+      .digest('base64url');
+  }
+
+  /**
+   * HLSファイルの署名付きURLを生成（file はセッションのHLSディレクトリからの相対パス）
+   */
+  function signHlsUrl(email, entry, file, ttlSeconds) {
+    const expiresAt = clock.now() + ttlSeconds * 1000;
+    const signature = createHlsSignature(email, entry.qualifiedKey, file, expiresAt);
+    const encodedPath = file.split('/').map(encodeURIComponent).join('/');
+    return `/archive/${entry.event.slug}/hls/${entry.key}/${encodedPath}?exp=${expiresAt}&sig=${signature}`;
+  }
+
+  /**
+   * HLSの署名付きURLを検証
+   */
+  function verifyHlsSignature(email, qualifiedKey, file, expiresAt, signature) {
+    if (!/^\d+$/.test(String(expiresAt)) || Number(expiresAt) <= clock.now() || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(createHlsSignature(email, qualifiedKey, file, expiresAt));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * アーカイブ視聴トークンを検証（不正・期限切れはnull）
+   */
+  function verifyArchiveToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', archiveSessionKey).update(body).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      if (!payload.exp || payload.exp <= clock.now()) return null;
+      return payload;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Cookieヘッダーをパース
+   */
+  function parseCookies(req) {
+    const cookies = {};
+    const header = req.headers.cookie;
+    if (!header) return cookies;
+
+    for (const part of header.split(';')) {
+      const index = part.indexOf('=');
+      if (index < 0) continue;
+      const name = part.slice(0, index).trim();
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (err) {
+        cookies[name] = value;
+      }
+    }
+    return cookies;
+  }
+
+  /**
+   * リクエストのアーカイブ視聴セッションを取得（未認証・期限切れはnull）
+   */
+  function getArchiveSession(req) {
+    return verifyArchiveToken(parseCookies(req)[ARCHIVE_SESSION_COOKIE]);
+  }
+
+  /**
+   * アーカイブ視聴セッションを発行してCookieに設定
+   */
+  function issueArchiveSession(req, res, email, sessionKeys, circle = false) {
+    const maxAge = config.archiveSessionTtlHours * 60 * 60 * 1000;
+    const token = signArchiveToken({ email, keys: sessionKeys, circle, exp: clock.now() + maxAge });
+
+    res.cookie(ARCHIVE_SESSION_COOKIE, token, {
+      httpOnly: true,
+      secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+      sameSite: 'lax',
+      path: '/archive',
+      maxAge
+    });
+  }
+
+  /**
+   * 視聴セッションで視聴できるセッションキー（サークル会員はカタログの全アーカイブ）
+   */
+  function getArchiveViewerKeys(archiveSession) {
+    return archiveSession.circle ? catalog.archiveSessionKeys.slice() : sortArchiveKeys(archiveSession.keys || []);
+  }
+
+  /**
+   * ログインリンクのトークンをハッシュ化（保存用）
+   */
+  function hashLoginToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * 期限切れから1日経過したログインリンクを削除
+   */
+  async function pruneArchiveLoginLinks() {
+    const cutoff = clock.now() - 24 * 60 * 60 * 1000;
+    for (const [hash, link] of Object.entries(await storage.list('archive_login_links'))) {
+      if (link.expires_at < cutoff) await storage.delete('archive_login_links', hash);
+    }
+  }
+
+  /**
+   * ワンタイムのログインリンクトークンを発行
+   */
+  async function createArchiveLoginToken(email) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await storage.set('archive_login_links', hashLoginToken(token), {
+      email,
+      created_at: clock.now(),
+      expires_at: clock.now() + config.archiveLoginLinkTtlMinutes * 60 * 1000,
+      used_at: null
+    });
+    await pruneArchiveLoginLinks();
+
+    return token;
+  }
+
+  /**
+   * ログインリンクトークンを検索（使用済み・期限切れはnull）
+   */
+  async function findArchiveLoginToken(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const link = await storage.get('archive_login_links', hashLoginToken(token));
+    if (!link || link.used_at || link.expires_at <= clock.now()) return null;
+    return link;
+  }
+
+  /**
+   * ログインリンクトークンを使用済みにする（使用済み・期限切れはnull）
+   * 同じリンクを同時に開いても、使用済みにできるのは1回だけ
+   */
+  async function consumeArchiveLoginToken(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const link = await storage.update('archive_login_links', hashLoginToken(token), current => {
+      if (!current || current.used_at || current.expires_at <= clock.now()) return undefined;
+      return { ...current, used_at: clock.now() };
+    });
+    return link || null;
+  }
+
+  /**
+   * 動画プレイヤーに渡す配信元（YouTubeは動画ID、HLSは視聴者ごとの署名付きプレイリストURL）
+   */
+  function getArchiveVideoSource(entry, email) {
+    const { video } = entry.session;
+    if (!video) return null;
+    if (video.provider === 'hls') {
+      return {
+        provider: 'hls',
+        url: signHlsUrl(email, entry, path.posix.basename(video.playlist), config.hlsPlaylistUrlTtlSeconds)
+      };
+    }
+    return { provider: 'youtube', id: video.id };
+  }
+
+  return {
+    checkArchiveRateLimit,
+    signHlsUrl,
+    verifyHlsSignature,
+    getArchiveSession,
+    issueArchiveSession,
+    getArchiveViewerKeys,
+    createArchiveLoginToken,
+    findArchiveLoginToken,
+    consumeArchiveLoginToken,
+    getArchiveVideoSource
+  };
+}
+
+module.exports = {
+  ARCHIVE_SESSION_COOKIE,
+  createArchiveAccessService
+};
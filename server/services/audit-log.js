@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * 監査ログ・配布資料のダウンロード記録
+ *
+ * - どちらも日時順に並ぶキー（日時_ランダム）で追記する
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 監査ログのサービスを作成
+ */
+function createAuditLogService({ storage, clock }) {
+  /**
+   * 追記型のログ（監査ログ・ダウンロード記録）に1件追加
+   */
+  async function appendLogEntry(collection, entry) {
+    const timestamp = new Date(clock.now()).toISOString();
+    await storage.set(collection, `${clock.now()}_${crypto.randomBytes(4).toString('hex')}`, {
+      ...entry,
+      timestamp
+    });
+  }
+
+  /**
+   * 監査ログに記録
+   */
+  async function recordAuditLog(entry) {
+    await appendLogEntry('audit_log', entry);
+  }
+
+  /**
+   * 配布資料のダウンロードを記録
+   */
+  async function recordMaterialDownload(entry) {
+    await appendLogEntry('material_downloads', entry);
+  }
+
+  return {
+    recordAuditLog,
+    recordMaterialDownload
+  };
+}
+
+module.exports = {
+  createAuditLogService
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * 配信キャンペーン
+ *
+ * - 開催前リマインダー・アーカイブ公開のお知らせを購入者ごとに1回配信
+ * - 送信済みの記録はストレージに保存し、定期実行（/cron/campaigns）で配信する
+ */
+
+// 開催前リマインダー（開始24時間前〜1時間前に前日分、1時間前〜開始までに直前分を送信）
+const SESSION_REMINDERS = [
+  { type: 'reminder_day', hoursBefore: 24, subjectPrefix: '【明日開催】', lead: '明日開催のセッションのご案内です' },
+  { type: 'reminder_hour', hoursBefore: 1, subjectPrefix: '【まもなく開始】', lead: 'まもなくセッションが始まります' }
+];
+
+/**
+ * 配信キャンペーンのサービスを作成
+ */
+function createCampaignService({ catalog, storage, clock, entitlements, zoom, notifications }) {
+  const { qualifyArchiveKey, findArchiveSession } = catalog;
+  const { loadEntitlements } = entitlements;
+  const { loadZoomMeetings, getRegistrationUrl, getZoomJoinUrl } = zoom;
+  const { enqueueTemplateEmail, buildPurchaseNotifications } = notifications;
+
+  /**
+   * アーカイブ公開の検知記録（セッションキー -> 公開日時）を読み込む（未作成ならnull）
+   */
+  async function loadArchivePublished() {
+    return storage.get('campaign_state', 'archive_published');
+  }
+
+  /**
+   * キャンペーンの送信記録（メールアドレス -> 送信結果）を読み込む
+   */
+  async function loadCampaignSends(campaignId) {
+    return (await storage.get('campaign_sends', campaignId)) || {};
+  }
+
+  /**
+   * キャンペーンの送信結果を1件記録
+   */
+  async function recordCampaignSend(campaignId, email, send) {
+    await storage.update('campaign_sends', campaignId, sends => ({ ...sends, [email]: send }));
+  }
+
+  /**
+   * 日時を日本時間の表示用文字列に変換（例: 2026年1月25日(土) 10:00）
+   */
+  function formatJstDateTime(value) {
+    const date = new Date(value);
+    const day = date.toLocaleDateString('ja-JP', {
+      timeZone: 'Asia/Tokyo',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      weekday: 'short'
+    });
+    const time = date.toLocaleTimeString('ja-JP', {
+      timeZone: 'Asia/Tokyo',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    return `${day} ${time}`;
+  }
+
+  /**
+   * アーカイブセッションが公開済みか（動画があり、後日公開の案内がない）
+   */
+  function isArchiveSessionPublished(session) {
+    return Boolean(session.video) && !session.comingSoon;
+  }
+
+  /**
+   * 支払い済みの購入記録をメールアドレスごとに取得
+   */
+  async function collectPaidPurchases() {
+    return Object.entries(await loadEntitlements())
+      .map(([email, entitlement]) => ({
+        email,
+        purchases: entitlement.purchases.filter(purchase => purchase.status === 'paid')
+      }))
+      .filter(({ purchases }) => purchases.length > 0);
+  }
+
+  /**
+   * 送信対象のキャンペーンを列挙
+   * - 開催前リマインダー: カタログのMeetingに startsAt があるもの（送信期間内のみ）
+   * - アーカイブ公開: 初回実行以降に公開されたセッション（公開前の購入者のみ）
+   */
+  async function collectDueCampaigns(archivePublished, now) {
+    const buyers = await collectPaidPurchases();
+    const zoomMeetings = await loadZoomMeetings();
+    const due = [];
+
+    for (const event of catalog.events) {
+      for (const [key, meeting] of Object.entries(event.meetings)) {
+        if (!meeting.startsAt) continue;
+
+        const startsAt = Date.parse(meeting.startsAt);
+        const reminder = SESSION_REMINDERS.find((r, i) => {
+          const opensAt = startsAt - r.hoursBefore * 60 * 60 * 1000;
+          const closesAt = startsAt - (SESSION_REMINDERS[i + 1]?.hoursBefore || 0) * 60 * 60 * 1000;
+          return now >= opensAt && now < closesAt;
+        });
+        if (!reminder) continue;
+
+        due.push({
+          id: `${reminder.type}:${event.slug}:${key}`,
+          template: 'sessionReminder',
+          label: meeting.name,
+          data: {
+            subject: `${reminder.subjectPrefix}${meeting.name}`,
+            lead: reminder.lead,
+            meetingName: meeting.name,
+            startsAt: formatJstDateTime(meeting.startsAt),
+            registrationUrl: getRegistrationUrl(zoomMeetings, event, key)
+          },
+          // Zoom APIで登録済みの購入者には個人用の参加URLを案内
+          recipientData: async email => {
+            const joinUrl = await getZoomJoinUrl(zoomMeetings, event, key, email);
+            return joinUrl ? { registrationUrl: joinUrl } : {};
+          },
+          recipients: buyers
+            .filter(({ purchases }) => buildPurchaseNotifications(purchases.flatMap(p => p.price_ids))
+              .some(n => n.event === event && n.meetingKeys.includes(key)))
+            .map(({ email }) => email)
+        });
+      }
+    }
+
+    for (const [qualifiedKey, publishedAt] of Object.entries(archivePublished)) {
+      // 初回実行時点で公開済みだったセッションは対象外
+      if (!publishedAt) continue;
+
+      const entry = findArchiveSession(qualifiedKey);
+      if (!entry) continue;
+
+      due.push({
+        id: `archive_published:${qualifiedKey}`,
+        template: 'archivePublished',
+        label: entry.session.name,
+        data: {
+          eventTitle: entry.event.title,
+          sessionName: entry.session.name
+        },
+        recipients: buyers
+          .filter(({ purchases }) => purchases.some(purchase =>
+            purchase.created_at <= publishedAt &&
+            purchase.session_keys.map(qualifyArchiveKey).includes(qualifiedKey)))
+          .map(({ email }) => email)
+      });
+    }
+
+    return due;
+  }
+
+  /**
+   * 配信キャンペーンを実行（cron・管理コマンドから定期実行）
+   * 同じキャンペーンは購入者ごとに1回のみ送信する
+   */
+  async function processCampaigns(now = clock.now()) {
+    const existing = await loadArchivePublished();
+    const firstRun = !existing;
+    const archivePublished = existing || {};
+    const result = { queued: 0, blocked: 0, campaigns: [] };
+
+    // 新たに公開されたアーカイブセッションを記録
+    for (const qualifiedKey of catalog.archiveSessionKeys) {
+      if (qualifiedKey in archivePublished) continue;
+      if (!isArchiveSessionPublished(findArchiveSession(qualifiedKey).session)) continue;
+
+      archivePublished[qualifiedKey] = firstRun ? null : new Date(now).toISOString();
+      if (!firstRun) console.log(`[キャンペーン] アーカイブ公開を検知: ${qualifiedKey}`);
+    }
+    await storage.set('campaign_state', 'archive_published', archivePublished);
+
+    for (const campaign of await collectDueCampaigns(archivePublished, now)) {
+      const sends = await loadCampaignSends(campaign.id);
+      const pending = campaign.recipients.filter(email => !sends[email]);
+      if (pending.length === 0) continue;
+
+      console.log(`[キャンペーン] ${campaign.id}: ${pending.length}件`);
+      result.campaigns.push(campaign.id);
+
+      for (const email of pending) {
+        // 必須項目不足で送信中止になった場合も記録し、毎回の再試行はしない（監査ログに残る）
+        const data = { ...campaign.data, ...(campaign.recipientData ? await campaign.recipientData(email) : {}) };
+        const message = await enqueueTemplateEmail(email, campaign.template, data, campaign.label);
+        await recordCampaignSend(campaign.id, email, { at: new Date(clock.now()).toISOString(), status: message ? 'queued' : 'blocked' });
+        result[message ? 'queued' : 'blocked']++;
+      }
+    }
+
+    return result;
+  }
+
+  return {
+    processCampaigns
+  };
+}
+
+module.exports = {
+  createCampaignService
+};
@@ -0,0 +1,378 @@
+'use strict';
+
+/**
+ * 視聴権限（エンタイトルメント）
+ *
+ * - 購入・サークル会員情報をメールアドレスごとに記録
+ * - サークル会員は支払い失敗・解約後も猶予期間（CIRCLE_GRACE_DAYS）まで全アーカイブを視聴できる
+ * - 返金・チャージバック時は購入を取り消し、視聴できるセッションから外す
+ * - Stripeの過去の購入からの再構築（npm run backfill:entitlements）
+ */
+
+// サークルサブスクリプション（アクティブ会員 = フルアクセス）
+const CIRCLE_PRODUCT_ID = 'prod_TA2S72xlZ4teEN';
+
+// アクセス可能なサブスクリプションステータス
+const CIRCLE_ACTIVE_STATUSES = ['active', 'trialing'];
+
+/**
+ * 記録中のサークル会員情報を別のサブスクリプションで置き換えるか判定
+ * 有効な（active/trialing）サブスクリプションを優先し、どちらも同じなら期間終了が新しい方を採用する
+ */
+function shouldReplaceCircleSubscription(current, next) {
+  if (!current?.subscription_id || current.subscription_id === next.subscription_id) return true;
+
+  const currentActive = CIRCLE_ACTIVE_STATUSES.includes(current.status);
+  const nextActive = CIRCLE_ACTIVE_STATUSES.includes(next.status);
+  if (currentActive !== nextActive) return nextActive;
+
+  return new Date(next.current_period_end || 0).getTime() >= new Date(current.current_period_end || 0).getTime();
+}
+
+/**
+ * 視聴権限のサービスを作成
+ */
+function createEntitlementService({ config, catalog, storage, clock, stripe }) {
+  const { sortArchiveKeys } = catalog;
+
+  /**
+   * 全エンタイトルメント（メールアドレス -> 視聴権限）を読み込む
+   */
+  async function loadEntitlements() {
+    return storage.list('entitlements');
+  }
+
+  /**
+   * メールアドレスのエンタイトルメントを取得
+   */
+  async function getEntitlement(email) {
+    return storage.get('entitlements', email.toLowerCase().trim());
+  }
+
+  /**
+   * メールアドレスのエンタイトルメントを更新
+   * fn は既存のエンタイトルメント（なければ空で作成）を変更する。falseを返すと保存しない
+   */
+  async function updateEntitlement(email, fn) {
+    let result;
+    await storage.update('entitlements', email.toLowerCase().trim(), current => {
+      const entitlement = current || { purchases: [], circle: null };
+      result = fn(entitlement);
+      return result === false ? undefined : entitlement;
+    });
+    return result;
+  }
+
+  /**
+   * チケット購入を記録（Checkout Session IDで冪等）
+   */
+  async function recordPurchaseEntitlement(email, session, priceIds) {
+    const sessionKeys = new Set();
+    for (const priceId of priceIds) {
+      (catalog.archiveSessionMap[priceId] || []).forEach(k => sessionKeys.add(k));
+    }
+    if (sessionKeys.size === 0) return false;
+
+    const recorded = await updateEntitlement(email, entitlement => {
+      // 返金・チャージバックで取り消した購入は再記録しない
+      const existing = entitlement.purchases.find(p => p.checkout_session_id === session.id);
+      if (existing && existing.status !== 'paid') {
+        console.log(`[エンタイトルメント] 取り消し済みの購入のため記録しない: ${session.id} (${existing.status})`);
+        return false;
+      }
+
+      entitlement.purchases = entitlement.purchases.filter(p => p.checkout_session_id !== session.id);
+      entitlement.purchases.push({
+        checkout_session_id: session.id,
+        payment_intent: (typeof session.payment_intent === 'string' ? session.payment_intent : session.payment_intent?.id) || null,
+        customer_id: session.customer || null,
+        price_ids: priceIds,
+        session_keys: catalog.archiveSessionKeys.filter(k => sessionKeys.has(k)),
+        status: 'paid',
+        created_at: new Date((session.created || clock.now() / 1000) * 1000).toISOString()
+      });
+      entitlement.updated_at = new Date(clock.now()).toISOString();
+      return true;
+    });
+    if (!recorded) return false;
+
+    console.log(`[エンタイトルメント] 購入記録: ${email} (${session.id})`);
+    return true;
+  }
+
+  /**
+   * サークルサブスクリプションを記録（changesで会員ステータス等を上書き）
+   * 記録中と別のサブスクリプションは、アクセスできる方を優先する（記録しなかった場合はnull）
+   * Stripeの一覧は新しい順のため、再構築で古い解約済みのサブスクリプションが有効なものを上書きしないようにする
+   */
+  async function recordCircleSubscription(email, subscription, changes = {}) {
+    const circle = await updateEntitlement(email, entitlement => {
+      const next = {
+        ...entitlement.circle,
+        customer_id: typeof subscription.customer === 'string' ? subscription.customer : subscription.customer?.id,
+        subscription_id: subscription.id,
+        status: subscription.status,
+        current_period_end: subscription.current_period_end
+          ? new Date(subscription.current_period_end * 1000).toISOString()
+          : entitlement.circle?.current_period_end || null,
+        ...changes,
+        updated_at: new Date(clock.now()).toISOString()
+      };
+      if (!shouldReplaceCircleSubscription(entitlement.circle, next)) return false;
+
+      entitlement.circle = next;
+      entitlement.updated_at = entitlement.circle.updated_at;
+      return entitlement.circle;
+    });
+
+    if (!circle) {
+      console.log(`[エンタイトルメント] サークル会員記録をスキップ（他のサブスクリプションを記録中）: ${email} (${subscription.id}: ${subscription.status})`);
+      return null;
+    }
+
+    console.log(`[エンタイトルメント] サークル会員記録: ${email} (${subscription.id}: ${circle.status})`);
+    return circle;
+  }
+
+  /**
+   * Payment Intent IDから購入記録を検索
+   */
+  async function findPurchaseByPaymentIntent(paymentIntentId) {
+    for (const [email, entitlement] of Object.entries(await loadEntitlements())) {
+      const purchase = entitlement.purchases.find(p => p.payment_intent === paymentIntentId);
+      if (purchase) return { email, purchase };
+    }
+    return null;
+  }
+
+  /**
+   * Checkout Session IDから購入記録を検索
+   */
+  async function findPurchaseByCheckoutSession(checkoutSessionId) {
+    for (const [email, entitlement] of Object.entries(await loadEntitlements())) {
+      const purchase = entitlement.purchases.find(p => p.checkout_session_id === checkoutSessionId);
+      if (purchase) return { email, purchase };
+    }
+    return null;
+  }
+
+  /**
+   * 購入記録を取り消し（返金・チャージバック）、視聴できなくなったセッションキーを返す
+   */
+  async function revokePurchaseEntitlement(email, checkoutSessionId, status, reason) {
+    const before = await getEntitledSessionKeys(email);
+
+    const revoked = await updateEntitlement(email, entitlement => {
+      const purchase = entitlement.purchases.find(p => p.checkout_session_id === checkoutSessionId);
+      if (!purchase) return false;
+
+      purchase.status = status;
+      purchase.revoked_at = new Date(clock.now()).toISOString();
+      purchase.revoke_reason = reason;
+      entitlement.updated_at = purchase.revoked_at;
+      return true;
+    });
+    if (!revoked) return [];
+
+    // 他の購入・サークル会員で引き続き視聴できるキーは除外
+    const after = new Set(await getEntitledSessionKeys(email));
+    const revokedKeys = before.filter(k => !after.has(k));
+
+    console.log(`[エンタイトルメント] 購入取り消し: ${email} (${checkoutSessionId}: ${status}) 停止: ${revokedKeys.join(', ') || 'なし'}`);
+    return revokedKeys;
+  }
+
+  /**
+   * アーカイブ視聴権限を手動で付与（管理画面）
+   */
+  async function grantArchiveAccess(email, sessionKeys, note) {
+    const keys = sortArchiveKeys(sessionKeys);
+    if (keys.length === 0) return null;
+
+    const grant = {
+      checkout_session_id: `manual_${clock.now()}`,
+      payment_intent: null,
+      customer_id: null,
+      price_ids: [],
+      session_keys: keys,
+      status: 'paid',
+      source: 'manual',
+      note: note || null,
+      created_at: new Date(clock.now()).toISOString()
+    };
+
+    await updateEntitlement(email, entitlement => {
+      entitlement.purchases.push(grant);
+      entitlement.updated_at = grant.created_at;
+    });
+
+    console.log(`[エンタイトルメント] 手動付与: ${email} (${keys.join(', ')})`);
+    return grant;
+  }
+
+  /**
+   * サークル会員情報を更新
+   */
+  async function updateCircleMembership(email, changes) {
+    const circle = await updateEntitlement(email, entitlement => {
+      if (!entitlement.circle) return false;
+
+      Object.assign(entitlement.circle, changes, { updated_at: new Date(clock.now()).toISOString() });
+      entitlement.updated_at = entitlement.circle.updated_at;
+      return entitlement.circle;
+    });
+    return circle || null;
+  }
+
+  /**
+   * サークル入会完了メールの送信を確保（未送信なら welcome_sent_at を記録してtrue）
+   * 同時に届いたイベント（checkout.session.completed と customer.subscription.created）のうち1つだけが確保できる
+   */
+  async function claimCircleWelcome(email) {
+    let claimed = false;
+    await updateEntitlement(email, entitlement => {
+      if (!entitlement.circle || entitlement.circle.welcome_sent_at) return false;
+
+      entitlement.circle.welcome_sent_at = new Date(clock.now()).toISOString();
+      entitlement.circle.updated_at = entitlement.circle.welcome_sent_at;
+      entitlement.updated_at = entitlement.circle.updated_at;
+      claimed = true;
+      return true;
+    });
+    return claimed;
+  }
+
+  /**
+   * サークル会員情報を取得
+   */
+  async function getCircleMembership(email) {
+    return (await getEntitlement(email))?.circle || null;
+  }
+
+  /**
+   * サークル会員のアーカイブアクセス可否（有効会員、または猶予期間内）
+   */
+  function hasCircleAccess(circle, now = clock.now()) {
+    if (!circle) return false;
+    if (CIRCLE_ACTIVE_STATUSES.includes(circle.status)) return true;
+    return Boolean(circle.grace_until) && new Date(circle.grace_until).getTime() > now;
+  }
+
+  /**
+   * 猶予期間の終了日時を算出
+   */
+  function calculateGraceUntil(now = clock.now()) {
+    return new Date(now + config.circleGraceDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * メールアドレスの視聴可能なセッションキーを取得
+   */
+  async function getEntitledSessionKeys(email) {
+    const entitlement = await getEntitlement(email);
+    if (!entitlement) return [];
+
+    // サークルサブスク会員（アクティブ or 猶予期間内 → 全イベントのフルアクセス）
+    if (hasCircleAccess(entitlement.circle)) {
+      return catalog.archiveSessionKeys.slice();
+    }
+
+    const sessionKeys = [];
+    for (const purchase of entitlement.purchases) {
+      if (purchase.status !== 'paid') continue;
+      sessionKeys.push(...purchase.session_keys);
+    }
+    return sortArchiveKeys(sessionKeys);
+  }
+
+  /**
+   * サブスクリプションがサークル商品か判定
+   */
+  function isCircleSubscription(subscription) {
+    return (subscription.items?.data || []).some(item => item.price?.product === CIRCLE_PRODUCT_ID);
+  }
+
+  /**
+   * Checkout Sessionが支払い済みか判定
+   */
+  function isCheckoutSessionPaid(session) {
+    return session.payment_status === 'paid' || session.payment_status === 'no_payment_required';
+  }
+
+  /**
+   * Stripeの購入履歴からエンタイトルメントストアを構築（バックフィル）
+   */
+  async function backfillEntitlements() {
+    const result = { purchases: 0, subscriptions: 0, skipped: 0 };
+
+    // チケット購入（ゲスト購入を含む全Checkout Session）
+    const sessions = stripe.checkout.sessions.list({
+      status: 'complete',
+      limit: 100,
+      expand: ['data.payment_intent.latest_charge']
+    });
+
+    for await (const session of sessions) {
+      const email = session.customer_details?.email || session.customer_email;
+      if (!email || session.mode === 'subscription' || !isCheckoutSessionPaid(session)) {
+        result.skipped++;
+        continue;
+      }
+
+      // 全額返金・チャージバック済みの購入は除外
+      const charge = session.payment_intent?.latest_charge;
+      if (charge && (charge.refunded || charge.disputed)) {
+        result.skipped++;
+        continue;
+      }
+
+      const lineItems = await stripe.checkout.sessions.listLineItems(session.id, { limit: 100 });
+      const priceIds = lineItems.data.map(item => item.price?.id).filter(Boolean);
+
+      if (await recordPurchaseEntitlement(email, session, priceIds)) {
+        result.purchases++;
+      } else {
+        result.skipped++;
+      }
+    }
+
+    // サークルサブスクリプション
+    for await (const subscription of stripe.subscriptions.list({ status: 'all', limit: 100, expand: ['data.customer'] })) {
+      const email = subscription.customer?.email;
+      if (!email || !isCircleSubscription(subscription)) {
+        result.skipped++;
+        continue;
+      }
+
+      await recordCircleSubscription(email, subscription);
+      result.subscriptions++;
+    }
+
+    return result;
+  }
+
+  return {
+    loadEntitlements,
+    recordPurchaseEntitlement,
+    recordCircleSubscription,
+    findPurchaseByPaymentIntent,
+    findPurchaseByCheckoutSession,
+    revokePurchaseEntitlement,
+    grantArchiveAccess,
+    updateCircleMembership,
+    claimCircleWelcome,
+    getCircleMembership,
+    hasCircleAccess,
+    calculateGraceUntil,
+    getEntitledSessionKeys,
+    isCircleSubscription,
+    isCheckoutSessionPaid,
+    backfillEntitlements
+  };
+}
+
+module.exports = {
+  CIRCLE_PRODUCT_ID,
+  CIRCLE_ACTIVE_STATUSES,
+  createEntitlementService
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * 旧形式データの移行（data/*.json → ストレージ）
+ *
+ * - npm run storage:migrate から実行する
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 旧形式データの移行サービスを作成
+ */
+function createMigrationService({ config, storage }) {
+  // 旧形式のデータファイル（npm run storage:migrate でストレージへ移行）
+  const PROCESSED_EVENTS_JSON = path.join(config.dataDir, 'processed_events.json');
+  const FAILED_EMAILS_JSON = path.join(config.dataDir, 'failed_emails.json');
+  const MAIL_QUEUE_JSON = path.join(config.dataDir, 'mail_queue.json');
+  const CAMPAIGNS_JSON = path.join(config.dataDir, 'campaigns.json');
+  const ZOOM_MEETINGS_JSON = path.join(config.dataDir, 'zoom_meetings.json');
+  const ZOOM_REGISTRANTS_JSON = path.join(config.dataDir, 'zoom_registrants.json');
+  const ARCHIVE_LOGIN_LINKS_JSON = path.join(config.dataDir, 'archive_login_links.json');
+  const WATCH_PROGRESS_JSON = path.join(config.dataDir, 'watch_progress.json');
+  const VIEWING_ANALYTICS_JSON = path.join(config.dataDir, 'viewing_analytics.json');
+  const MATERIAL_DOWNLOADS_JSON = path.join(config.dataDir, 'material_downloads.json');
+  const ENTITLEMENTS_JSON = path.join(config.dataDir, 'entitlements.json');
+  const AUDIT_LOG_JSON = path.join(config.dataDir, 'audit_log.json');
+
+  /**
+   * 旧形式のJSONファイルを読み込む（なければnull）
+   */
+  function readLegacyJson(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * 旧形式の配列をレコードに変換（キーは日時と連番）
+   */
+  function legacyLogRecords(entries) {
+    return Object.fromEntries((entries || []).map((entry, i) => [
+      `${Date.parse(entry.timestamp) || 0}_legacy${String(i).padStart(6, '0')}`,
+      entry
+    ]));
+  }
+
+  /**
+   * 旧形式のJSONファイル（data/*.json）をストレージに移行
+   * ストレージに同じキーがある場合は上書きしない（何度実行しても同じ結果になる）
+   */
+  async function migrateLegacyData() {
+    const processed = readLegacyJson(PROCESSED_EVENTS_JSON);
+    const campaigns = readLegacyJson(CAMPAIGNS_JSON);
+    const registrants = readLegacyJson(ZOOM_REGISTRANTS_JSON)?.registrants || {};
+    const sessions = readLegacyJson(VIEWING_ANALYTICS_JSON)?.sessions || {};
+
+    const collections = {
+      entitlements: readLegacyJson(ENTITLEMENTS_JSON)?.entitlements,
+      processed_events: Object.fromEntries((processed?.processed || []).map(id => [id, { processed_at: processed.updated_at || null }])),
+      failed_emails: legacyLogRecords(readLegacyJson(FAILED_EMAILS_JSON)),
+      mail_queue: Object.fromEntries((readLegacyJson(MAIL_QUEUE_JSON)?.messages || []).map(message => [message.id, message])),
+      campaign_state: campaigns ? { archive_published: campaigns.archive_published } : {},
+      campaign_sends: campaigns?.sends,
+      zoom_meetings: readLegacyJson(ZOOM_MEETINGS_JSON),
+      zoom_registrants: Object.fromEntries(Object.entries(registrants).flatMap(([meetingId, byEmail]) =>
+        Object.entries(byEmail).map(([email, registrant]) => [
+          `${meetingId}:${email.toLowerCase().trim()}`,
+          { meeting_id: meetingId, email, ...registrant }
+        ]))),
+      archive_login_links: readLegacyJson(ARCHIVE_LOGIN_LINKS_JSON)?.links,
+      watch_progress: readLegacyJson(WATCH_PROGRESS_JSON)?.progress,
+      viewing_analytics: Object.fromEntries(Object.entries(sessions).flatMap(([sessionKey, viewers]) =>
+        Object.entries(viewers).map(([email, viewer]) => [
+          `${sessionKey}|${email}`,
+          { session_key: sessionKey, email, ...viewer }
+        ]))),
+      material_downloads: legacyLogRecords(readLegacyJson(MATERIAL_DOWNLOADS_JSON)),
+      audit_log: legacyLogRecords(readLegacyJson(AUDIT_LOG_JSON))
+    };
+
+    const result = {};
+    for (const [collection, records] of Object.entries(collections)) {
+      result[collection] = { migrated: 0, skipped: 0 };
+
+      for (const [key, value] of Object.entries(records || {})) {
+        const saved = await storage.update(collection, key, current => (current ? undefined : value));
+        result[collection][saved === undefined ? 'skipped' : 'migrated']++;
+      }
+    }
+
+    return result;
+  }
+
+  return {
+    migrateLegacyData
+  };
+}
+
+module.exports = {
+  createMigrationService
+};
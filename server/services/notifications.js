@@ -0,0 +1,383 @@
+'use strict';
+
+/**
+ * メール送信と購入者への通知
+ *
+ * - メール送信キュー（失敗時は段階的に再送、それでも失敗したらdead）
+ * - 購入内容に応じた参加情報メール・サークル入会メールの生成と送信
+ * - 処理中のWebhookイベントから送信するメールは、イベントIDで二重登録を防ぐ
+ */
+
+const crypto = require('crypto');
+const { EmailTemplateError } = require('../email-templates');
+
+// メール送信キュー（1分 → 5分 → 30分 → 2時間 → 12時間で再試行し、それでも失敗したらdead）
+const MAIL_RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAIL_SEND_LOCK_SECONDS = 120;
+const MAIL_QUEUE_RETENTION_DAYS = 30;
+
+/**
+ * メール送信・通知のサービスを作成
+ */
+function createNotificationService({
+  config, catalog, storage, clock, mailTransport, webhookEventContext, renderEmailTemplate,
+  auditLog, entitlements, zoom
+}) {
+  const { recordAuditLog } = auditLog;
+  const { updateCircleMembership, claimCircleWelcome, getCircleMembership } = entitlements;
+  const { loadZoomMeetings, getRegistrationUrl, registerZoomRegistrant } = zoom;
+
+  /**
+   * 旧形式の送信失敗記録を読み込む（メール送信キュー導入前のもの）
+   */
+  async function loadFailedEmails() {
+    return Object.values(await storage.list('failed_emails'));
+  }
+
+  /**
+   * 設定されたトランスポートでメールを1回送信（失敗時は例外）
+   */
+  async function sendEmail(to, { subject, html, text }) {
+    await mailTransport.send({
+      to,
+      from: { email: config.fromEmail, name: config.mailFromName },
+      replyTo: config.mailReplyTo,
+      subject,
+      html,
+      text
+    });
+    console.log(`[メール送信成功] ${to} (${mailTransport.name})`);
+  }
+
+  /**
+   * メール送信キューを読み込む（登録順）
+   */
+  async function loadMailQueue() {
+    return Object.values(await storage.list('mail_queue'))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  /**
+   * 保持期間を過ぎた配信済みメールをキューから削除
+   */
+  async function pruneMailQueue(messages) {
+    const cutoff = clock.now() - MAIL_QUEUE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    for (const message of messages) {
+      if (message.status === 'delivered' && Date.parse(message.delivered_at) <= cutoff) {
+        await storage.delete('mail_queue', message.id);
+      }
+    }
+  }
+
+  /**
+   * メールをキューに登録し、1回目の送信を試みる
+   * 失敗した場合は processMailQueue が再試行する
+   */
+  async function enqueueEmail(to, { subject, html, text }, label) {
+    // Webhookイベントの処理中は、イベント・宛先・件名からIDを決める
+    // （処理が途中で止まったイベントを再処理しても、同じメールを二重に登録しない）
+    const context = webhookEventContext.getStore();
+    const eventId = context?.eventId;
+    const mailKey = context?.mailKey || eventId;
+    const id = mailKey
+      ? `mail_${crypto.createHash('sha256').update(`${mailKey}\n${to}\n${subject}`).digest('hex').slice(0, 16)}`
+      : `mail_${crypto.randomBytes(8).toString('hex')}`;
+
+    const now = new Date(clock.now()).toISOString();
+    const message = {
+      id,
+      to,
+      subject,
+      html,
+      text,
+      label: label || null,
+      status: 'pending',
+      attempts: [],
+      next_attempt_at: now,
+      webhook_event_id: eventId || null,
+      created_at: now
+    };
+
+    // 再処理のドライランでは送信せず、送信されるメールとして記録する
+    if (context?.dryRun) {
+      context.emails.push({ to, subject, text, label: label || null });
+      console.log(`[ドライラン] メール: ${to} 「${subject}」`);
+      return { ...message, status: 'dry_run' };
+    }
+
+    const created = await storage.update('mail_queue', id, current => (current ? undefined : message));
+    if (!created) {
+      console.log(`[メールキュー] 登録済みのため再登録しない: ${to} (${eventId})`);
+    }
+
+    return deliverQueuedEmail(id);
+  }
+
+  /**
+   * キュー内のメールを1件送信し、結果と試行履歴を記録
+   */
+  async function deliverQueuedEmail(id) {
+    // 他のワーカーが送信中なら二重送信しない（ロックの取得はキー単位で排他）
+    const message = await storage.update('mail_queue', id, current => {
+      if (!current || current.status !== 'pending') return undefined;
+      if (current.locked_until && Date.parse(current.locked_until) > clock.now()) return undefined;
+      return { ...current, locked_until: new Date(clock.now() + MAIL_SEND_LOCK_SECONDS * 1000).toISOString() };
+    });
+    if (!message) return storage.get('mail_queue', id);
+
+    let error = null;
+    try {
+      await sendEmail(message.to, message);
+    } catch (err) {
+      error = err;
+    }
+
+    // 送信中に他の処理がメッセージを更新している可能性があるため、最新の内容に結果を記録
+    const attemptedAt = new Date(clock.now());
+    return storage.update('mail_queue', id, current => recordDeliveryAttempt(current, attemptedAt, error));
+  }
+
+  /**
+   * 送信結果を試行履歴に記録し、配信済み・再試行・送信中止のいずれかにする
+   */
+  function recordDeliveryAttempt(message, attemptedAt, error) {
+    message.attempts.push({
+      at: attemptedAt.toISOString(),
+      error: error ? error.message : null
+    });
+    delete message.locked_until;
+
+    if (!error) {
+      message.status = 'delivered';
+      message.delivered_at = attemptedAt.toISOString();
+      message.next_attempt_at = null;
+    } else {
+      // 管理画面から戻した場合は、それ以降の試行回数でバックオフを数え直す
+      const attemptCount = message.attempts.length - (message.requeued_attempts || 0);
+      const delayMinutes = MAIL_RETRY_DELAYS_MINUTES[attemptCount - 1];
+
+      if (delayMinutes === undefined) {
+        message.status = 'dead';
+        message.next_attempt_at = null;
+        console.error(`[メール送信最終失敗] ${message.to}: ${error.message}`);
+      } else {
+        message.next_attempt_at = new Date(attemptedAt.getTime() + delayMinutes * 60 * 1000).toISOString();
+        console.error(`[メール送信失敗] attempt ${message.attempts.length}: ${error.message}（${delayMinutes}分後に再試行）`);
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * 再試行時刻を過ぎたメールを送信（ワーカー・cronから実行）
+   */
+  async function processMailQueue(limit = 50) {
+    const now = clock.now();
+    const messages = await loadMailQueue();
+    await pruneMailQueue(messages);
+
+    const due = messages
+      .filter(message => message.status === 'pending' && Date.parse(message.next_attempt_at) <= now)
+      .slice(0, limit);
+
+    const result = { processed: 0, delivered: 0, retrying: 0, dead: 0 };
+
+    for (const { id } of due) {
+      const message = await deliverQueuedEmail(id);
+      result.processed++;
+
+      if (message.status === 'delivered') {
+        result.delivered++;
+      } else if (message.status === 'dead') {
+        result.dead++;
+      } else {
+        result.retrying++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 送信を諦めたメールを再送キューに戻す（管理画面から実行）
+   */
+  async function requeueEmail(id) {
+    const message = await storage.update('mail_queue', id, current => {
+      if (!current || current.status !== 'dead') return undefined;
+
+      return {
+        ...current,
+        status: 'pending',
+        requeued_attempts: current.attempts.length,
+        next_attempt_at: new Date(clock.now()).toISOString()
+      };
+    });
+    return message || null;
+  }
+
+  /**
+   * テンプレートからメールを生成してキューに登録
+   * 必須項目が欠けている場合は送信せず、監査ログに記録してnullを返す
+   */
+  async function enqueueTemplateEmail(to, templateName, data, label) {
+    let email;
+    try {
+      email = renderEmailTemplate(templateName, data);
+    } catch (error) {
+      if (!(error instanceof EmailTemplateError)) throw error;
+
+      console.error(`[メール送信中止] ${to}: ${error.message}`);
+      await recordAuditLog({
+        action: 'email_blocked',
+        email: to,
+        template: templateName,
+        product_name: label || null,
+        missing: error.missing
+      });
+      return null;
+    }
+
+    return enqueueEmail(to, email, label);
+  }
+
+  /**
+   * イベントの参加情報メール件名
+   */
+  function getEventEmailSubject(event) {
+    return event.email.subject || `${event.title} 参加情報（Zoom登録リンクのご案内）`;
+  }
+
+  /**
+   * 購入price_idから、イベントごとの商品名・Meeting keysをまとめる
+   */
+  function buildPurchaseNotifications(priceIds) {
+    const byEvent = new Map();
+
+    for (const priceId of priceIds) {
+      const entry = catalog.ticketMap[priceId];
+      if (!entry) continue;
+
+      const { event, ticket } = entry;
+      if (!byEvent.has(event.slug)) {
+        byEvent.set(event.slug, { event, productNames: [], meetingKeys: new Set() });
+      }
+      const notification = byEvent.get(event.slug);
+      notification.productNames.push(ticket.productName);
+      ticket.meetings.forEach(k => notification.meetingKeys.add(k));
+    }
+
+    return Array.from(byEvent.values())
+      .filter(n => n.meetingKeys.size > 0)
+      .map(({ event, productNames, meetingKeys }) => {
+        // 共通セッションは常に含める
+        event.commonMeetings.forEach(k => meetingKeys.add(k));
+
+        return {
+          event,
+          productName: productNames.join('、'),
+          // カタログの定義順にソート
+          meetingKeys: Object.keys(event.meetings).filter(k => meetingKeys.has(k))
+        };
+      });
+  }
+
+  /**
+   * サークル入会完了メールを送信（会員ごとに1回のみ）
+   */
+  async function sendCircleWelcomeEmail(email) {
+    // 同時に届いたイベントから二重に送信しないよう、送信済みの記録を先に確保する
+    // （会員情報がない場合は記録できないため、確保せずに送信する）
+    const circle = await getCircleMembership(email);
+    if (circle && !(await claimCircleWelcome(email))) {
+      console.log(`[サークル入会] 入会完了メール送信済み: ${email}`);
+      return;
+    }
+
+    // 送信に失敗してもキューから再送されるため、登録した時点で送信済みとする
+    // 登録できなかった場合（必須項目の不足・ストレージのエラー）は、次のイベントで送信できるよう確保を取り消す
+    let message = null;
+    try {
+      message = await enqueueTemplateEmail(email, 'circleWelcome', {}, 'AI×建築サークル');
+    } finally {
+      if (circle && !message) await updateCircleMembership(email, { welcome_sent_at: null });
+    }
+  }
+
+  /**
+   * 日付を日本時間の表示用文字列に変換
+   */
+  function formatJstDate(value) {
+    return new Date(value).toLocaleDateString('ja-JP', {
+      timeZone: 'Asia/Tokyo',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  }
+
+  /**
+   * イベントごとの参加情報メールを送信（送信数・再送待ち数・送信中止数を返す）
+   * registerZoom の場合はZoom APIで購入者を登録し、個人用の参加URLを案内する
+   */
+  async function sendPurchaseEmails(customerEmail, notifications, { customerName, registerZoom = false } = {}) {
+    const result = { sent: 0, queued: 0, blocked: 0 };
+
+    // Zoom Meetingデータを読み込む
+    const zoomMeetings = await loadZoomMeetings();
+
+    for (const { event, productName, meetingKeys } of notifications) {
+      console.log(`[イベント] ${event.slug}`);
+      console.log(`[商品名] ${productName}`);
+      console.log(`[Zoom Sessions] ${meetingKeys.join(', ')}`);
+
+      const meetings = [];
+      for (const key of meetingKeys) {
+        const joinUrl = registerZoom
+          ? await registerZoomRegistrant(zoomMeetings, event, key, customerEmail, customerName)
+          : null;
+
+        meetings.push({
+          name: event.meetings[key].name,
+          url: joinUrl || getRegistrationUrl(zoomMeetings, event, key),
+          registered: Boolean(joinUrl)
+        });
+      }
+
+      // Zoom登録URLが揃っていない場合は送信しない（enqueueTemplateEmailがnullを返す）
+      const message = await enqueueTemplateEmail(customerEmail, 'purchase', {
+        subject: getEventEmailSubject(event),
+        productName,
+        meetings,
+        notes: event.email.notes
+      }, productName);
+
+      if (!message) {
+        result.blocked++;
+      } else if (message.status === 'delivered') {
+        result.sent++;
+      } else {
+        result.queued++;
+      }
+    }
+
+    return result;
+  }
+
+  return {
+    loadFailedEmails,
+    sendEmail,
+    loadMailQueue,
+    processMailQueue,
+    requeueEmail,
+    enqueueTemplateEmail,
+    buildPurchaseNotifications,
+    sendCircleWelcomeEmail,
+    formatJstDate,
+    sendPurchaseEmails
+  };
+}
+
+module.exports = {
+  createNotificationService
+};
@@ -0,0 +1,487 @@
+'use strict';
+
+/**
+ * Stripe Webhookイベントのハンドラー
+ *
+ * - 購入（Checkout）・サークル会員のサブスクリプション・請求書・返金・チャージバック
+ * - handleWebhookEvent でイベント種別ごとのハンドラーに振り分ける
+ */
+
+const { CIRCLE_PRODUCT_ID, CIRCLE_ACTIVE_STATUSES } = require('./entitlements');
+
+/**
+ * Stripe Webhookイベントのハンドラーを作成
+ */
+function createStripeEventService({
+  catalog, clock, stripe, zoomClient, auditLog, entitlements, zoom, notifications
+}) {
+  const { recordAuditLog } = auditLog;
+  const { loadZoomMeetings, cancelZoomRegistrant } = zoom;
+  const {
+    loadEntitlements, recordPurchaseEntitlement, recordCircleSubscription,
+    findPurchaseByPaymentIntent, findPurchaseByCheckoutSession, revokePurchaseEntitlement,
+    getCircleMembership, calculateGraceUntil, isCircleSubscription, isCheckoutSessionPaid
+  } = entitlements;
+  const {
+    enqueueTemplateEmail, buildPurchaseNotifications, sendCircleWelcomeEmail, formatJstDate,
+    sendPurchaseEmails
+  } = notifications;
+
+  /**
+   * サークル入会のcheckout.session.completedを処理
+   */
+  async function handleCircleCheckoutCompleted(session, customerEmail, lineItems) {
+    const isCircle = lineItems.data.some(item => item.price?.product === CIRCLE_PRODUCT_ID);
+    if (!isCircle) {
+      console.log('[情報] 対象外のサブスクリプションのためスキップ');
+      return;
+    }
+
+    console.log(`[サークル入会] ${customerEmail} (subscription: ${session.subscription})`);
+
+    if (session.subscription) {
+      const subscription = await stripe.subscriptions.retrieve(session.subscription);
+      await recordCircleSubscription(customerEmail, subscription);
+    }
+
+    await sendCircleWelcomeEmail(customerEmail);
+  }
+
+  /**
+   * Webhook: checkout.session.completed を処理
+   */
+  async function handleCheckoutCompleted(session) {
+    // line_itemsを取得
+    const lineItems = await stripe.checkout.sessions.listLineItems(session.id, {
+      limit: 100
+    });
+
+    // 購入者のメールアドレス
+    const customerEmail = session.customer_details?.email || session.customer_email;
+
+    if (!customerEmail) {
+      console.error('[エラー] 購入者のメールアドレスが取得できません');
+      return;
+    }
+
+    // サークル入会（サブスクリプション）
+    if (session.mode === 'subscription') {
+      await handleCircleCheckoutCompleted(session, customerEmail, lineItems);
+      return;
+    }
+
+    // 購入したprice_idを取得
+    const purchasedPriceIds = lineItems.data.map(item => item.price?.id).filter(Boolean);
+
+    console.log(`[購入者] ${customerEmail}`);
+    console.log(`[購入Price IDs] ${purchasedPriceIds.join(', ')}`);
+
+    // アーカイブ視聴権限を記録（非同期決済は async_payment_succeeded で記録）
+    if (isCheckoutSessionPaid(session)) {
+      await recordPurchaseEntitlement(customerEmail, session, purchasedPriceIds);
+    }
+
+    // price_idからイベントごとの商品名とMeeting keysを取得
+    const notifications = buildPurchaseNotifications(purchasedPriceIds);
+
+    if (notifications.length === 0) {
+      console.log('[情報] 対象外の商品購入のためスキップ');
+      return;
+    }
+
+    // 支払い完了前（コンビニ決済など）はZoomに登録せず、登録リンクで案内
+    await sendPurchaseEmails(customerEmail, notifications, {
+      customerName: session.customer_details?.name,
+      registerZoom: isCheckoutSessionPaid(session)
+    });
+  }
+
+  /**
+   * Webhook: checkout.session.async_payment_succeeded を処理（コンビニ決済等の入金完了）
+   */
+  async function handleCheckoutAsyncPaymentSucceeded(session) {
+    const customerEmail = session.customer_details?.email || session.customer_email;
+    if (!customerEmail || session.mode === 'subscription') return;
+
+    const lineItems = await stripe.checkout.sessions.listLineItems(session.id, { limit: 100 });
+    const purchasedPriceIds = lineItems.data.map(item => item.price?.id).filter(Boolean);
+
+    await recordPurchaseEntitlement(customerEmail, session, purchasedPriceIds);
+
+    // 入金確認後にZoomへ登録し、個人用の参加URLを改めて案内
+    if (zoomClient) {
+      const notifications = buildPurchaseNotifications(purchasedPriceIds);
+      await sendPurchaseEmails(customerEmail, notifications, {
+        customerName: session.customer_details?.name,
+        registerZoom: true
+      });
+    }
+  }
+
+  /**
+   * サブスクリプションIDから会員のメールアドレスを取得（ストア優先、なければStripe顧客情報）
+   */
+  async function resolveSubscriptionEmail(subscriptionId, customerId) {
+    for (const [email, entitlement] of Object.entries(await loadEntitlements())) {
+      if (entitlement.circle?.subscription_id === subscriptionId) return email;
+    }
+
+    if (!customerId) return null;
+    const customer = await stripe.customers.retrieve(customerId);
+    return customer.deleted ? null : customer.email || null;
+  }
+
+  /**
+   * 請求書がサークル会費か判定
+   */
+  function isCircleInvoice(invoice) {
+    return Boolean(invoice.subscription)
+      && (invoice.lines?.data || []).some(line => line.price?.product === CIRCLE_PRODUCT_ID);
+  }
+
+  /**
+   * Webhook: customer.subscription.created を処理
+   */
+  async function handleSubscriptionCreated(subscription) {
+    if (!isCircleSubscription(subscription)) {
+      console.log('[情報] 対象外のサブスクリプションのためスキップ');
+      return;
+    }
+
+    const email = await resolveSubscriptionEmail(subscription.id, subscription.customer);
+    if (!email) {
+      console.error(`[エラー] サブスクリプションの顧客メールアドレスが取得できません: ${subscription.id}`);
+      return;
+    }
+
+    await recordCircleSubscription(email, subscription);
+
+    if (CIRCLE_ACTIVE_STATUSES.includes(subscription.status)) {
+      await sendCircleWelcomeEmail(email);
+    }
+  }
+
+  /**
+   * Webhook: customer.subscription.updated を処理
+   */
+  async function handleSubscriptionUpdated(subscription) {
+    if (!isCircleSubscription(subscription)) {
+      console.log('[情報] 対象外のサブスクリプションのためスキップ');
+      return;
+    }
+
+    const email = await resolveSubscriptionEmail(subscription.id, subscription.customer);
+    if (!email) {
+      console.error(`[エラー] サブスクリプションの顧客メールアドレスが取得できません: ${subscription.id}`);
+      return;
+    }
+
+    const previous = await getCircleMembership(email);
+    const changes = {};
+
+    if (CIRCLE_ACTIVE_STATUSES.includes(subscription.status)) {
+      // 有効（支払い回復を含む）→ 猶予期間を解除
+      changes.grace_until = null;
+    } else if (subscription.status === 'past_due' || subscription.status === 'unpaid') {
+      // 支払い遅延 → 猶予期間を開始（開始済みなら延長しない）
+      changes.grace_until = previous?.grace_until || calculateGraceUntil();
+    }
+
+    await recordCircleSubscription(email, subscription, changes);
+
+    if (CIRCLE_ACTIVE_STATUSES.includes(subscription.status)) {
+      await sendCircleWelcomeEmail(email);
+    }
+  }
+
+  /**
+   * Webhook: customer.subscription.deleted を処理（退会）
+   */
+  async function handleSubscriptionDeleted(subscription) {
+    if (!isCircleSubscription(subscription)) {
+      console.log('[情報] 対象外のサブスクリプションのためスキップ');
+      return;
+    }
+
+    const email = await resolveSubscriptionEmail(subscription.id, subscription.customer);
+    if (!email) {
+      console.error(`[エラー] サブスクリプションの顧客メールアドレスが取得できません: ${subscription.id}`);
+      return;
+    }
+
+    // 猶予期間は開始済み（支払い遅延・同じイベントの再処理）なら延長しない
+    const previous = await getCircleMembership(email);
+    const circle = await recordCircleSubscription(email, subscription, {
+      status: 'canceled',
+      canceled_at: new Date(clock.now()).toISOString(),
+      grace_until: previous?.grace_until || calculateGraceUntil()
+    });
+    // 会員のアクセスは記録中の別のサブスクリプションで続くため、退会の通知はしない
+    if (!circle) return;
+
+    console.log(`[サークル退会] ${email} (アクセス期限: ${circle.grace_until})`);
+
+    await enqueueTemplateEmail(email, 'circleCancellation', {
+      accessUntil: formatJstDate(circle.grace_until)
+    }, 'AI×建築サークル');
+  }
+
+  /**
+   * Webhook: invoice.payment_failed を処理（会費の支払い失敗）
+   */
+  async function handleInvoicePaymentFailed(invoice) {
+    if (!isCircleInvoice(invoice)) {
+      console.log('[情報] 対象外の請求書のためスキップ');
+      return;
+    }
+
+    const email = invoice.customer_email || await resolveSubscriptionEmail(invoice.subscription, invoice.customer);
+    if (!email) {
+      console.error(`[エラー] 請求書の顧客メールアドレスが取得できません: ${invoice.id}`);
+      return;
+    }
+
+    const previous = await getCircleMembership(email);
+    const graceUntil = previous?.grace_until || calculateGraceUntil();
+    const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+
+    await recordCircleSubscription(email, subscription, {
+      grace_until: graceUntil,
+      dunning_invoice_id: invoice.id
+    });
+
+    console.log(`[サークル支払い失敗] ${email} (invoice: ${invoice.id}, 猶予期限: ${graceUntil})`);
+
+    // 同じ請求書の再試行失敗では再送しない
+    if (previous?.dunning_invoice_id === invoice.id) {
+      console.log(`[サークル支払い失敗] 督促メール送信済み: ${email}`);
+      return;
+    }
+
+    await enqueueTemplateEmail(email, 'circleDunning', {
+      invoiceUrl: invoice.hosted_invoice_url,
+      graceUntil: formatJstDate(graceUntil)
+    }, 'AI×建築サークル');
+  }
+
+  /**
+   * Webhook: invoice.paid を処理（会費の支払い完了・更新）
+   */
+  async function handleInvoicePaid(invoice) {
+    if (!isCircleInvoice(invoice)) {
+      console.log('[情報] 対象外の請求書のためスキップ');
+      return;
+    }
+
+    const email = invoice.customer_email || await resolveSubscriptionEmail(invoice.subscription, invoice.customer);
+    if (!email) {
+      console.error(`[エラー] 請求書の顧客メールアドレスが取得できません: ${invoice.id}`);
+      return;
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+
+    await recordCircleSubscription(email, subscription, {
+      grace_until: null,
+      dunning_invoice_id: null,
+      last_paid_at: new Date(clock.now()).toISOString()
+    });
+
+    if (invoice.billing_reason === 'subscription_cycle') {
+      console.log(`[サークル更新] ${email} (invoice: ${invoice.id})`);
+    }
+  }
+
+  /**
+   * 取り消した購入のZoom登録をキャンセル（他の支払い済みの購入で参加できるミーティングは残す）
+   * キャンセルした・できなかったMeeting key（"イベントslug:Meeting key"）を返す
+   */
+  async function cancelPurchaseZoomRegistrants(email, purchase) {
+    const result = { canceled: [], remaining: [] };
+    const notifications = buildPurchaseNotifications(purchase.price_ids);
+    if (notifications.length === 0) return result;
+
+    const otherPriceIds = ((await loadEntitlements())[email]?.purchases || [])
+      .filter(p => p.status === 'paid' && p.checkout_session_id !== purchase.checkout_session_id)
+      .flatMap(p => p.price_ids);
+    const keptMeetingKeys = new Set(buildPurchaseNotifications(otherPriceIds)
+      .flatMap(({ event, meetingKeys }) => meetingKeys.map(key => `${event.slug}:${key}`)));
+
+    const zoomMeetings = zoomClient ? await loadZoomMeetings() : {};
+    for (const { event, meetingKeys } of notifications) {
+      for (const key of meetingKeys) {
+        const qualifiedKey = `${event.slug}:${key}`;
+        if (keptMeetingKeys.has(qualifiedKey)) continue;
+
+        const canceled = await cancelZoomRegistrant(zoomMeetings, event, key, email);
+        result[canceled ? 'canceled' : 'remaining'].push(qualifiedKey);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 返金・チャージバックされたチャージの購入記録を取り消して通知
+   */
+  async function revokePurchaseForCharge(charge, kind, reason) {
+    const paymentIntentId = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id;
+    if (!paymentIntentId) {
+      console.log(`[情報] Payment Intentのないチャージのためスキップ: ${charge.id}`);
+      return;
+    }
+
+    // サークル会費（請求書払い）はサブスクリプションのWebhookで処理
+    if (charge.invoice) {
+      console.log(`[情報] 請求書のチャージのためスキップ: ${charge.id}`);
+      return;
+    }
+
+    let found = await findPurchaseByPaymentIntent(paymentIntentId);
+    if (!found) {
+      // ストアにPayment Intentが記録されていない購入はCheckout Sessionから特定
+      const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+      if (sessions.data[0]) {
+        found = await findPurchaseByCheckoutSession(sessions.data[0].id);
+      }
+    }
+
+    if (!found) {
+      console.log(`[情報] 対象の購入記録が見つからないためスキップ: ${paymentIntentId}`);
+      await recordAuditLog({
+        action: kind,
+        charge_id: charge.id,
+        payment_intent: paymentIntentId,
+        email: charge.billing_details?.email || charge.receipt_email || null,
+        result: 'purchase_not_found',
+        reason
+      });
+      return;
+    }
+
+    const { email, purchase } = found;
+    if (purchase.status !== 'paid') {
+      console.log(`[情報] 取り消し済みの購入のためスキップ: ${purchase.checkout_session_id} (${purchase.status})`);
+      return;
+    }
+
+    const revokedKeys = await revokePurchaseEntitlement(email, purchase.checkout_session_id, kind, reason);
+    const productName = purchase.price_ids.map(id => catalog.productNameMap[id]).filter(Boolean).join('、') || '（不明な商品）';
+    const { canceled: canceledMeetingKeys, remaining: remainingMeetingKeys } = await cancelPurchaseZoomRegistrants(email, purchase);
+
+    await recordAuditLog({
+      action: kind,
+      charge_id: charge.id,
+      payment_intent: paymentIntentId,
+      checkout_session_id: purchase.checkout_session_id,
+      email,
+      product_name: productName,
+      revoked_session_keys: revokedKeys,
+      zoom_canceled_meeting_keys: canceledMeetingKeys,
+      // キャンセルできなかったZoom登録（API未設定・登録リンクから本人が登録したもの）は手動対応用に記録
+      zoom_meeting_keys: remainingMeetingKeys,
+      result: 'revoked',
+      reason
+    });
+
+    await enqueueTemplateEmail(email, 'refund', {
+      productName,
+      kind,
+      zoomCanceled: canceledMeetingKeys.length > 0 && remainingMeetingKeys.length === 0
+    }, productName);
+  }
+
+  /**
+   * Webhook: charge.refunded を処理
+   */
+  async function handleChargeRefunded(charge) {
+    // 一部返金は自動で取り消さず、監査ログに残して手動確認
+    if (!charge.refunded) {
+      console.log(`[返金] 一部返金のため視聴権限は維持: ${charge.id}`);
+      await recordAuditLog({
+        action: 'partial_refund',
+        charge_id: charge.id,
+        payment_intent: charge.payment_intent,
+        amount_refunded: charge.amount_refunded,
+        result: 'manual_review'
+      });
+      return;
+    }
+
+    console.log(`[返金] ${charge.id} (payment_intent: ${charge.payment_intent})`);
+    await revokePurchaseForCharge(charge, 'refunded', 'charge.refunded');
+  }
+
+  /**
+   * Webhook: charge.dispute.created を処理
+   */
+  async function handleDisputeCreated(dispute) {
+    const charge = await stripe.charges.retrieve(dispute.charge);
+
+    console.log(`[チャージバック] ${dispute.id} (charge: ${charge.id}, reason: ${dispute.reason})`);
+    await revokePurchaseForCharge(charge, 'disputed', `charge.dispute.created: ${dispute.reason}`);
+  }
+
+  /**
+   * Webhookイベントをイベント種別ごとのハンドラーで処理
+   */
+  async function handleWebhookEvent(event) {
+    switch (event.type) {
+      case 'checkout.session.completed': {
+        const session = event.data.object;
+        await handleCheckoutCompleted(session);
+        break;
+      }
+      case 'checkout.session.async_payment_succeeded': {
+        const session = event.data.object;
+        await handleCheckoutAsyncPaymentSucceeded(session);
+        break;
+      }
+      case 'customer.subscription.created': {
+        const subscription = event.data.object;
+        await handleSubscriptionCreated(subscription);
+        break;
+      }
+      case 'customer.subscription.updated': {
+        const subscription = event.data.object;
+        await handleSubscriptionUpdated(subscription);
+        break;
+      }
+      case 'customer.subscription.deleted': {
+        const subscription = event.data.object;
+        await handleSubscriptionDeleted(subscription);
+        break;
+      }
+      case 'invoice.payment_failed': {
+        const invoice = event.data.object;
+        await handleInvoicePaymentFailed(invoice);
+        break;
+      }
+      case 'invoice.paid': {
+        const invoice = event.data.object;
+        await handleInvoicePaid(invoice);
+        break;
+      }
+      case 'charge.refunded': {
+        const charge = event.data.object;
+        await handleChargeRefunded(charge);
+        break;
+      }
+      case 'charge.dispute.created': {
+        const dispute = event.data.object;
+        await handleDisputeCreated(dispute);
+        break;
+      }
+      default:
+        console.log(`[Webhook] 未処理イベント: ${event.type}`);
+        break;
+    }
+  }
+
+  return {
+    handleWebhookEvent
+  };
+}
+
+module.exports = {
+  createStripeEventService
+};
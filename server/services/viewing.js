@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * アーカイブ動画の視聴記録
+ *
+ * - ユーザーごとの再生位置（続きから再生・視聴済みバッジ）
+ * - 視聴イベントの記録と、管理画面の視聴者数・視聴時間・離脱曲線の集計
+ */
+
+// この割合まで再生したら視聴済みとする
+const WATCH_COMPLETE_RATIO = 0.9;
+// 視聴分析のイベント種別（heartbeatは再生中の定期送信）
+const VIEWING_EVENT_TYPES = ['play', 'pause', 'seek', 'quartile', 'complete', 'heartbeat'];
+// 離脱曲線の区間数（動画の長さを20等分 = 5%刻み）
+const VIEWING_CURVE_BUCKETS = 20;
+// ユーザー・セッションごとに保持する生イベント数
+const VIEWING_EVENT_LIMIT = 200;
+
+/**
+ * 視聴記録のサービスを作成
+ */
+function createViewingService({ catalog, storage, clock }) {
+  const { findArchiveSession } = catalog;
+
+  /**
+   * ユーザーの視聴進捗（セッションキー -> { position, duration, completed, ... }）
+   */
+  async function getWatchProgress(email) {
+    return (await storage.get('watch_progress', email)) || {};
+  }
+
+  /**
+   * 再生位置を記録（一度視聴済みになったら、最初から見直しても視聴済みのまま）
+   */
+  async function recordWatchProgress(email, sessionKey, position, duration) {
+    const now = new Date(clock.now()).toISOString();
+
+    const userProgress = await storage.update('watch_progress', email, progress => {
+      const current = progress?.[sessionKey] || {};
+      const completed = Boolean(current.completed) || position >= duration * WATCH_COMPLETE_RATIO;
+
+      return {
+        ...progress,
+        [sessionKey]: {
+          position: Math.floor(position),
+          duration: Math.floor(duration),
+          completed,
+          completed_at: current.completed_at || (completed ? now : null),
+          updated_at: now
+        }
+      };
+    });
+    return userProgress[sessionKey];
+  }
+
+  /**
+   * 視聴イベントを記録（セッションキー・メールアドレスごとに集計・生イベントを保存）
+   * segment: 前回のイベント以降に連続再生した区間 [開始秒, 終了秒]（視聴時間・離脱曲線の集計に使う）
+   */
+  async function recordViewingEvent(email, sessionKey, event) {
+    await storage.update('viewing_analytics', `${sessionKey}|${email}`, current => applyViewingEvent(current, email, sessionKey, event));
+  }
+
+  /**
+   * 視聴イベントを視聴者の集計に反映
+   */
+  function applyViewingEvent(current, email, sessionKey, { type, position, duration, segment, quartile, from }) {
+    const now = new Date(clock.now()).toISOString();
+    const viewer = current || {
+      session_key: sessionKey,
+      email,
+      first_viewed_at: now,
+      duration,
+      watch_seconds: 0,
+      buckets: [],
+      quartiles: [],
+      completed_at: null,
+      counts: {},
+      events: []
+    };
+
+    viewer.last_viewed_at = now;
+    viewer.duration = duration;
+    viewer.counts[type] = (viewer.counts[type] || 0) + 1;
+
+    if (segment && segment[1] > segment[0]) {
+      const [start, end] = segment;
+      viewer.watch_seconds = Math.round((viewer.watch_seconds + end - start) * 10) / 10;
+
+      // 区間と重なる5%刻みの区間を視聴済みにする
+      const bucketSize = duration / VIEWING_CURVE_BUCKETS;
+      const buckets = new Set(viewer.buckets);
+      for (let i = Math.floor(start / bucketSize); i < VIEWING_CURVE_BUCKETS && i * bucketSize < end; i++) {
+        buckets.add(i);
+      }
+      viewer.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    if (type === 'quartile' && !viewer.quartiles.includes(quartile)) {
+      viewer.quartiles = [...viewer.quartiles, quartile].sort((a, b) => a - b);
+    }
+    if (type === 'complete' && !viewer.completed_at) {
+      viewer.completed_at = now;
+    }
+
+    const entry = { type, position: Math.floor(position), at: now };
+    if (type === 'seek') entry.from = Math.floor(from);
+    if (type === 'quartile') entry.quartile = quartile;
+    viewer.events = [...viewer.events, entry].slice(-VIEWING_EVENT_LIMIT);
+
+    return viewer;
+  }
+
+  /**
+   * 視聴イベントのリクエストボディを検証（不正ならnull）
+   */
+  function parseViewingEvent(body) {
+    const { type, position, duration, segment, quartile, from } = body || {};
+    const isTime = value => Number.isFinite(value) && value >= 0 && value <= duration;
+
+    if (!VIEWING_EVENT_TYPES.includes(type)) return null;
+    if (!Number.isFinite(duration) || duration <= 0 || !isTime(position)) return null;
+    if (segment != null && !(Array.isArray(segment) && segment.length === 2 && segment.every(isTime) && segment[0] <= segment[1])) {
+      return null;
+    }
+    if (type === 'quartile' && ![25, 50, 75].includes(quartile)) return null;
+    if (type === 'seek' && !isTime(from)) return null;
+
+    return { type, position, duration, segment: segment || null, quartile, from };
+  }
+
+  /**
+   * セッションごとの視聴分析サマリー（カタログの表示順）
+   */
+  async function summarizeViewingAnalytics() {
+    const records = Object.values(await storage.list('viewing_analytics'));
+
+    return catalog.archiveSessionKeys.map(qualifiedKey => {
+      const viewers = records.filter(viewer => viewer.session_key === qualifiedKey);
+      const countViewers = predicate => viewers.filter(predicate).length;
+
+      return {
+        entry: findArchiveSession(qualifiedKey),
+        uniqueViewers: viewers.length,
+        watchSeconds: viewers.reduce((sum, viewer) => sum + viewer.watch_seconds, 0),
+        quartiles: Object.fromEntries([25, 50, 75].map(q => [q, countViewers(viewer => viewer.quartiles.includes(q))])),
+        completions: countViewers(viewer => viewer.completed_at),
+        // 各区間を視聴したユーザー数（離脱曲線）
+        curve: Array.from({ length: VIEWING_CURVE_BUCKETS }, (_, i) => countViewers(viewer => viewer.buckets.includes(i)))
+      };
+    });
+  }
+
+  return {
+    getWatchProgress,
+    recordWatchProgress,
+    recordViewingEvent,
+    parseViewingEvent,
+    summarizeViewingAnalytics
+  };
+}
+
+module.exports = {
+  WATCH_COMPLETE_RATIO,
+  VIEWING_CURVE_BUCKETS,
+  createViewingService
+};
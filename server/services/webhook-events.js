@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * Webhookイベントの処理状況と再処理
+ *
+ * - イベントを処理中として確保してから処理し、同時に届いたリトライや処理途中の停止による二重送信を防止
+ * - 処理済み・失敗したイベントは保持期間を過ぎたら削除
+ * - Stripeのイベント（ID・作成日時の範囲）やJSONファイルを受信時と同じハンドラーで再処理（ドライランあり）
+ */
+
+const fs = require('fs');
+const { createOverlayStorage } = require('../storage');
+
+// Webhookイベントの処理中ロック（期限を過ぎた処理中のイベントは、処理が途中で止まったものとしてリトライを受け付ける）
+const WEBHOOK_PROCESSING_TIMEOUT_SECONDS = 300;
+// 処理済み・失敗したWebhookイベントの保持期間（Stripeのリトライは最大3日間）と削除の間隔
+const WEBHOOK_EVENT_RETENTION_DAYS = 30;
+const WEBHOOK_EVENT_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Webhookイベントの処理状況のサービスを作成
+ */
+function createWebhookEventService({
+  storage, baseStorage, clock, stripe, webhookEventContext, stripeEvents
+}) {
+  const { handleWebhookEvent } = stripeEvents;
+
+  /**
+   * Webhookイベントの処理記録を読み込む（更新日時の新しい順）
+   * 状態: processing（処理中）/ done（処理済み）/ failed（失敗・Stripeのリトライで再処理）
+   */
+  async function loadProcessedEvents() {
+    return Object.entries(await storage.list('processed_events'))
+      .map(([id, record]) => ({ id, ...record, status: record.status || 'done' }))
+      .sort((a, b) => (b.updated_at || b.processed_at || '').localeCompare(a.updated_at || a.processed_at || ''));
+  }
+
+  /**
+   * Webhookイベントを処理中として確保（同時に届いたリトライのうち1つだけが確保できる）
+   * 処理済み（force指定時を除く）、または他のリクエストが処理中なら確保しない。失敗・処理中のまま期限切れのものは再度確保する
+   */
+  async function claimWebhookEvent(event, { force = false } = {}) {
+    const now = clock.now();
+    let status = null;
+
+    const claimed = await storage.update('processed_events', event.id, current => {
+      // ステータスのない記録は、処理状態の導入前に処理済みになったもの
+      status = current ? current.status || 'done' : null;
+      if (status === 'done' && !force) return undefined;
+      if (status === 'processing' && Date.parse(current.locked_until) > now) return undefined;
+
+      if (status === 'processing') {
+        console.warn(`[Webhook] 処理が途中で止まったイベントを再処理: ${event.id}`);
+      } else if (status === 'done') {
+        console.log(`[Webhook] 処理済みのイベントを再処理: ${event.id}`);
+      }
+      return {
+        ...current,
+        type: event.type,
+        status: 'processing',
+        attempts: (current?.attempts || 0) + 1,
+        locked_until: new Date(now + WEBHOOK_PROCESSING_TIMEOUT_SECONDS * 1000).toISOString(),
+        updated_at: new Date(now).toISOString()
+      };
+    });
+
+    return { claimed: Boolean(claimed), status };
+  }
+
+  /**
+   * Webhookイベントを処理済みにする
+   */
+  async function completeWebhookEvent(eventId) {
+    const now = new Date(clock.now()).toISOString();
+    // 確保の記録がない場合（storage.update はnullを渡す）も記録する
+    await storage.update('processed_events', eventId, current => {
+      const { locked_until, ...rest } = current || {};
+      return {
+        ...rest,
+        status: 'done',
+        error: null,
+        processed_at: now,
+        updated_at: now
+      };
+    });
+  }
+
+  /**
+   * Webhookイベントの処理失敗を記録（Stripeのリトライで再処理する）
+   */
+  async function failWebhookEvent(eventId, error) {
+    const now = new Date(clock.now()).toISOString();
+    // 確保の記録がない場合（storage.update はnullを渡す）も記録する
+    await storage.update('processed_events', eventId, current => {
+      const { locked_until, ...rest } = current || {};
+      return {
+        ...rest,
+        status: 'failed',
+        error: error.message,
+        failed_at: now,
+        updated_at: now
+      };
+    });
+  }
+
+  /**
+   * 保持期間を過ぎた処理済み・失敗のWebhookイベントを削除（1プロセスにつき1時間に1回）
+   */
+  let processedEventsPrunedAt = 0;
+  async function pruneProcessedEvents(now = clock.now()) {
+    if (now - processedEventsPrunedAt < WEBHOOK_EVENT_PRUNE_INTERVAL_MS) return 0;
+    processedEventsPrunedAt = now;
+
+    const cutoff = now - WEBHOOK_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let pruned = 0;
+    for (const [eventId, record] of Object.entries(await storage.list('processed_events'))) {
+      if (record.status === 'processing') continue;
+      if (Date.parse(record.updated_at || record.processed_at) <= cutoff) {
+        await storage.delete('processed_events', eventId);
+        pruned++;
+      }
+    }
+
+    if (pruned > 0) console.log(`[Webhook] 保持期間を過ぎたイベントを削除: ${pruned}件`);
+    return pruned;
+  }
+
+  /**
+   * 再処理するWebhookイベントを取得
+   * - eventIds: StripeのイベントID
+   * - since / until: 作成日時の範囲（typesで種別を絞り込み、Stripeに残っている過去30日分のみ）
+   * - fixture: ローカルのJSONファイル（イベント1件、またはイベントの配列）
+   */
+  async function fetchWebhookEvents({ eventIds = [], since, until, types = [], fixture }) {
+    if (fixture) {
+      return [].concat(JSON.parse(fs.readFileSync(fixture, 'utf8')));
+    }
+
+    const events = [];
+    for (const eventId of eventIds) {
+      events.push(await stripe.events.retrieve(eventId));
+    }
+
+    if (since || until) {
+      const toTimestamp = value => {
+        const time = Date.parse(value);
+        if (Number.isNaN(time)) throw new Error(`日時の形式が不正です: ${value}`);
+        return Math.floor(time / 1000);
+      };
+      const created = {};
+      if (since) created.gte = toTimestamp(since);
+      if (until) created.lte = toTimestamp(until);
+
+      // Stripeは新しい順に返すため、古い順に並べ替えて処理する
+      const listed = [];
+      for await (const event of stripe.events.list({ created, limit: 100, ...(types.length > 0 ? { types } : {}) })) {
+        listed.push(event);
+      }
+      events.push(...listed.reverse());
+    }
+
+    // 同じイベントは1回だけ処理する
+    return events.filter((event, i) => events.findIndex(e => e.id === event.id) === i);
+  }
+
+  /**
+   * Webhookイベントを受信時と同じハンドラーで再処理（管理コマンド・管理画面から実行）
+   * - force: 処理済みのイベントも再処理する（メールも改めて送信する）
+   * - dryRun: データ・メール送信キュー・Zoomを変更せず、送信されるメールを結果に含める
+   */
+  async function replayWebhookEvent(event, { force = false, dryRun = false } = {}) {
+    const result = { id: event.id, type: event.type, status: null, reason: null, emails: [] };
+
+    if (dryRun) {
+      const record = await storage.get('processed_events', event.id);
+      if (record && (record.status || 'done') === 'done' && !force) {
+        return { ...result, status: 'skipped', reason: '処理済み（強制的に再処理する場合は force を指定）' };
+      }
+
+      const context = { eventId: event.id, dryRun: true, storage: createOverlayStorage(baseStorage), emails: result.emails };
+      try {
+        await webhookEventContext.run(context, () => handleWebhookEvent(event));
+        return { ...result, status: 'dry_run' };
+      } catch (err) {
+        return { ...result, status: 'failed', reason: err.message };
+      }
+    }
+
+    const claim = await claimWebhookEvent(event, { force });
+    if (!claim.claimed) {
+      const reason = claim.status === 'done'
+        ? '処理済み（強制的に再処理する場合は force を指定）'
+        : '他のリクエストが処理中';
+      return { ...result, status: 'skipped', reason };
+    }
+
+    console.log(`[Webhook] 再処理: ${event.type} (${event.id})${force ? ' [force]' : ''}`);
+
+    try {
+      // 強制的に再処理する場合は、前回の処理で登録したメールとは別のメールとして送信する
+      const mailKey = force ? `${event.id}:replay_${clock.now()}` : event.id;
+      await webhookEventContext.run({ eventId: event.id, mailKey }, () => handleWebhookEvent(event));
+      await completeWebhookEvent(event.id);
+      return { ...result, status: 'processed' };
+    } catch (err) {
+      console.error(`[Webhook] 再処理エラー: ${event.id}`, err);
+      await failWebhookEvent(event.id, err);
+      return { ...result, status: 'failed', reason: err.message };
+    }
+  }
+
+  /**
+   * Webhookイベントを取得して順に再処理
+   */
+  async function replayWebhookEvents({ eventIds, since, until, types, fixture, force = false, dryRun = false }) {
+    const events = await fetchWebhookEvents({ eventIds, since, until, types, fixture });
+
+    const results = [];
+    for (const event of events) {
+      results.push(await replayWebhookEvent(event, { force, dryRun }));
+    }
+    return results;
+  }
+
+  return {
+    loadProcessedEvents,
+    claimWebhookEvent,
+    completeWebhookEvent,
+    failWebhookEvent,
+    pruneProcessedEvents,
+    replayWebhookEvents
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENT_RETENTION_DAYS,
+  createWebhookEventService
+};
@@ -0,0 +1,279 @@
+'use strict';
+
+/**
+ * Zoom Meeting（登録リンク・購入者の自動登録）
+ *
+ * - Meeting key（"A" など）ごとのZoom Meetingデータをストレージに保存
+ * - Zoom API設定時はカタログからMeetingを作成・同期し、購入者を登録して個人用の参加URLを取得
+ * - 返金・チャージバック時は、APIで登録した購入者の登録をキャンセル
+ */
+
+/**
+ * Zoom Meetingのサービスを作成
+ */
+function createZoomService({
+  config, catalog, storage, clock, zoomClient, webhookEventContext, auditLog
+}) {
+  const { recordAuditLog } = auditLog;
+
+  /**
+   * Zoom Meetingデータを読み込む
+   */
+  async function loadZoomMeetings() {
+    const zoomMeetings = await storage.list('zoom_meetings');
+    if (Object.keys(zoomMeetings).length === 0) {
+      console.error('[エラー] Zoom Meetingデータが登録されていません（npm run zoom:sync）');
+    }
+    return zoomMeetings;
+  }
+
+  /**
+   * Zoom Meetingデータを保存（カタログにないミーティングは削除）
+   */
+  async function saveZoomMeetings(zoomMeetings) {
+    for (const key of Object.keys(await storage.list('zoom_meetings'))) {
+      if (!(key in zoomMeetings)) await storage.delete('zoom_meetings', key);
+    }
+    for (const [key, meeting] of Object.entries(zoomMeetings)) {
+      await storage.set('zoom_meetings', key, meeting);
+    }
+  }
+
+  /**
+   * Meeting keyからZoom Meetingデータを取得
+   * キーは "イベントslug:Meeting key"。同期コマンド導入前のミーティング名キーにも対応
+   */
+  function findZoomMeeting(zoomMeetings, event, meetingKey) {
+    const meetingName = event.meetings[meetingKey]?.name;
+    if (!meetingName) return null;
+
+    return zoomMeetings[`${event.slug}:${meetingKey}`] || zoomMeetings[meetingName] || null;
+  }
+
+  /**
+   * Meeting keyからRegistration URLを取得
+   */
+  function getRegistrationUrl(zoomMeetings, event, meetingKey) {
+    return findZoomMeeting(zoomMeetings, event, meetingKey)?.registration_url || null;
+  }
+
+  /**
+   * Meeting keyからZoomのミーティングIDを取得
+   */
+  function getZoomMeetingId(zoomMeetings, event, meetingKey) {
+    return findZoomMeeting(zoomMeetings, event, meetingKey)?.id || null;
+  }
+
+  /**
+   * カタログとZoom Meetingデータの不整合を列挙（起動時・同期コマンドで表示）
+   */
+  function findZoomMeetingProblems(zoomMeetings) {
+    const problems = [];
+    const knownKeys = new Set();
+
+    for (const event of catalog.events) {
+      for (const [key, meeting] of Object.entries(event.meetings)) {
+        const meetingKey = `${event.slug}:${key}`;
+        knownKeys.add(meetingKey);
+        knownKeys.add(meeting.name);
+
+        const zoomMeeting = findZoomMeeting(zoomMeetings, event, key);
+        if (!zoomMeeting) {
+          problems.push(`${meetingKey}: Zoom Meetingが見つかりません（${meeting.name}）`);
+          continue;
+        }
+
+        if (!zoomMeetings[meetingKey]) {
+          problems.push(`${meetingKey}: ミーティング名キーの旧形式です（npm run zoom:sync で更新してください）`);
+        }
+        if (!zoomMeeting.registration_url) {
+          problems.push(`${meetingKey}: registration_urlがありません（Zoomで登録制になっていない可能性があります）`);
+        }
+        if (zoomMeeting.topic && zoomMeeting.topic !== meeting.name) {
+          problems.push(`${meetingKey}: Zoomのトピックがカタログと異なります（${zoomMeeting.topic}）`);
+        }
+      }
+    }
+
+    // ミーティング名の誤字などで、どのMeetingにも対応しないエントリ
+    for (const key of Object.keys(zoomMeetings)) {
+      if (!knownKeys.has(key)) problems.push(`${key}: カタログに存在しないMeetingです`);
+    }
+
+    return problems;
+  }
+
+  /**
+   * Zoom APIからミーティング情報を取得し、Zoom Meetingデータを作り直す
+   * - カタログの zoomMeetingId、または既存データのIDで取得
+   * - create指定時は、IDのないMeetingをカタログの名前・開始日時で作成
+   */
+  async function syncZoomMeetings({ create = false } = {}) {
+    if (!zoomClient) {
+      throw new Error('Zoom APIが設定されていません（ZOOM_ACCOUNT_ID / ZOOM_CLIENT_ID / ZOOM_CLIENT_SECRET）');
+    }
+
+    const current = await loadZoomMeetings();
+    const synced = {};
+    const result = { fetched: 0, created: 0, skipped: [], problems: [] };
+
+    for (const event of catalog.events) {
+      for (const [key, meeting] of Object.entries(event.meetings)) {
+        const meetingKey = `${event.slug}:${key}`;
+        const meetingId = meeting.zoomMeetingId || getZoomMeetingId(current, event, key);
+        let zoomMeeting;
+
+        if (meetingId) {
+          zoomMeeting = await zoomClient.getMeeting(meetingId);
+          result.fetched++;
+        } else if (create && meeting.startsAt) {
+          zoomMeeting = await zoomClient.createMeeting(config.zoomHostUserId, {
+            topic: meeting.name,
+            startTime: meeting.startsAt,
+            durationMinutes: meeting.durationMinutes || 120
+          });
+          result.created++;
+          console.log(`[Zoom同期] 作成: ${meetingKey} (id: ${zoomMeeting.id})`);
+        } else {
+          // IDのない既存データ（手入力の登録URLなど）は、キーだけ新形式にして引き継ぐ
+          const existing = findZoomMeeting(current, event, key);
+          if (existing) synced[meetingKey] = existing;
+          result.skipped.push(meetingKey);
+          continue;
+        }
+
+        synced[meetingKey] = {
+          id: zoomMeeting.id,
+          topic: zoomMeeting.topic,
+          start_time: zoomMeeting.start_time || null,
+          duration: zoomMeeting.duration || null,
+          registration_url: zoomMeeting.registration_url || null,
+          join_url: zoomMeeting.join_url || null,
+          synced_at: new Date(clock.now()).toISOString()
+        };
+      }
+    }
+
+    await saveZoomMeetings(synced);
+    result.problems = findZoomMeetingProblems(synced);
+    return result;
+  }
+
+  /**
+   * Zoom登録者の記録のキー（メールアドレスはエンタイトルメントと同じく大文字小文字を区別しない）
+   */
+  function getZoomRegistrantKey(meetingId, email) {
+    return `${meetingId}:${email.toLowerCase().trim()}`;
+  }
+
+  /**
+   * 登録済みの個人用参加URLを取得（未登録ならnull）
+   */
+  async function getZoomJoinUrl(zoomMeetings, event, meetingKey, email) {
+    const meetingId = getZoomMeetingId(zoomMeetings, event, meetingKey);
+    if (!meetingId) return null;
+
+    return (await storage.get('zoom_registrants', getZoomRegistrantKey(meetingId, email)))?.join_url || null;
+  }
+
+  /**
+   * 購入者をZoomミーティングの登録者として登録し、個人用の参加URLを返す
+   * 登録済みなら保存済みのURLを返す。APIが使えない・失敗した場合はnull（登録リンクで案内）
+   */
+  async function registerZoomRegistrant(zoomMeetings, event, meetingKey, email, name) {
+    const meetingId = getZoomMeetingId(zoomMeetings, event, meetingKey);
+    if (!zoomClient || !meetingId) return null;
+
+    const existing = await getZoomJoinUrl(zoomMeetings, event, meetingKey, email);
+    if (existing) return existing;
+
+    // 再処理のドライランでは登録しない（登録リンクで案内するメールになる）
+    if (webhookEventContext.getStore()?.dryRun) {
+      console.log(`[ドライラン] Zoom登録: ${email} → ${event.slug}:${meetingKey}`);
+      return null;
+    }
+
+    try {
+      const registrant = await zoomClient.addRegistrant(meetingId, {
+        email,
+        firstName: name || email.split('@')[0]
+      });
+
+      await storage.set('zoom_registrants', getZoomRegistrantKey(meetingId, email), {
+        meeting_id: meetingId,
+        meeting_key: `${event.slug}:${meetingKey}`,
+        email,
+        registrant_id: registrant.registrantId,
+        join_url: registrant.joinUrl,
+        registered_at: new Date(clock.now()).toISOString()
+      });
+
+      console.log(`[Zoom登録] ${email} → ${event.slug}:${meetingKey}`);
+      return registrant.joinUrl;
+    } catch (error) {
+      console.error(`[Zoom登録失敗] ${email} (${event.slug}:${meetingKey}): ${error.message}`);
+      await recordAuditLog({
+        action: 'zoom_registration_failed',
+        email,
+        meeting_id: meetingId,
+        meeting_key: `${event.slug}:${meetingKey}`,
+        reason: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 購入者のZoom登録をキャンセル（返金・チャージバック）
+   * 登録の記録があり、APIでキャンセルできた場合のみtrue（登録リンクから本人が登録したものは取り消せない）
+   */
+  async function cancelZoomRegistrant(zoomMeetings, event, meetingKey, email) {
+    const meetingId = getZoomMeetingId(zoomMeetings, event, meetingKey);
+    if (!zoomClient || !meetingId) return false;
+
+    const key = getZoomRegistrantKey(meetingId, email);
+    const registrant = await storage.get('zoom_registrants', key);
+    if (!registrant) return false;
+
+    // 再処理のドライランではキャンセルしない
+    if (webhookEventContext.getStore()?.dryRun) {
+      console.log(`[ドライラン] Zoom登録キャンセル: ${email} → ${event.slug}:${meetingKey}`);
+      return false;
+    }
+
+    try {
+      await zoomClient.cancelRegistrant(meetingId, {
+        registrantId: registrant.registrant_id,
+        email: registrant.email
+      });
+      await storage.delete('zoom_registrants', key);
+
+      console.log(`[Zoom登録キャンセル] ${email} → ${event.slug}:${meetingKey}`);
+      return true;
+    } catch (error) {
+      console.error(`[Zoom登録キャンセル失敗] ${email} (${event.slug}:${meetingKey}): ${error.message}`);
+      await recordAuditLog({
+        action: 'zoom_cancellation_failed',
+        email,
+        meeting_id: meetingId,
+        meeting_key: `${event.slug}:${meetingKey}`,
+        reason: error.message
+      });
+      return false;
+    }
+  }
+
+  return {
+    loadZoomMeetings,
+    getRegistrationUrl,
+    findZoomMeetingProblems,
+    syncZoomMeetings,
+    getZoomJoinUrl,
+    registerZoomRegistrant,
+    cancelZoomRegistrant
+  };
+}
+
+module.exports = {
+  createZoomService
+};
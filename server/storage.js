@@ -0,0 +1,377 @@
+'use strict';
+
+/**
+ * 永続化ストレージ
+ *
+ * STORAGE_BACKEND で保存先を切り替える。
+ * - file: STORAGE_DIR 配下にコレクションごとのJSONファイル（デフォルト、ローカル開発用）
+ *   更新の多いコレクション（FILE_STORAGE_RECORD_COLLECTIONS）はレコードごとのJSONファイル
+ * - sqlite: SQLiteデータベース（SQLITE_PATH）
+ * - kv: Redis互換のKVストア（デフォルトは Upstash / Vercel KV のREST API：KV_REST_API_URL / KV_REST_API_TOKEN）
+ *
+ * データは「コレクション（entitlements など）→ キー → JSON値」の形で保存する。
+ * - get / set / delete / list: 読み込み・保存・削除・コレクション全件の取得
+ * - update(collection, key, fn): キー単位で排他的に読み込み→更新→保存する
+ *   fn は現在の値（なければnull）を受け取り、保存する値を返す（undefinedなら保存しない）。戻り値は fn の戻り値
+ *
+ * Vercel などファイルシステムが永続化されない環境では kv（またはSQLiteを永続ボリュームに置く）を使う。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORAGE_BACKENDS = ['file', 'sqlite', 'kv'];
+
+// fileストレージでレコードごとに1ファイルにするコレクション
+// Webhookイベントは受信のたびに確保・完了を記録するため、コレクション全体の書き直しを避ける
+const FILE_STORAGE_RECORD_COLLECTIONS = ['processed_events'];
+
+// KVのキー単位ロックの有効期限と取得待ち
+const KV_LOCK_MS = 10 * 1000;
+const KV_LOCK_RETRY_MS = 100;
+const KV_LOCK_MAX_RETRIES = 50;
+
+/**
+ * 設定からストレージを作成（未知の名前は起動時にエラー）
+ */
+function createStorage(name, config = {}) {
+  switch (name) {
+    case 'file':
+      return createFileStorage(config);
+    case 'sqlite':
+      return createSqliteStorage(config);
+    case 'kv':
+      return createKvStorage(config);
+    default:
+      throw new Error(`STORAGE_BACKEND が不正です: ${name}（${STORAGE_BACKENDS.join(' / ')}）`);
+  }
+}
+
+/**
+ * 設定に必要な環境変数のうち未設定のもの
+ */
+function getMissingStorageEnvs(name, config = {}) {
+  if (name !== 'kv' || config.kvClient) return [];
+
+  const missing = [];
+  if (!config.kvUrl) missing.push('KV_REST_API_URL');
+  if (!config.kvToken) missing.push('KV_REST_API_TOKEN');
+  return missing;
+}
+
+/**
+ * JSONファイル（コレクションごとに1ファイル。FILE_STORAGE_RECORD_COLLECTIONS はレコードごとに1ファイル）
+ * 読み込み→保存を同期的に行うため、同じプロセス内では更新が競合しない
+ */
+function createFileStorage({ storageDir }) {
+  const filePath = collection => path.join(storageDir, `${collection}.json`);
+  const recordDir = collection => path.join(storageDir, collection);
+  const recordPath = (collection, key) => path.join(recordDir(collection), `${encodeURIComponent(key)}.json`);
+  const isRecordCollection = collection => FILE_STORAGE_RECORD_COLLECTIONS.includes(collection);
+
+  // 書き込み途中のファイルを読まないよう、一時ファイルに書いてから置き換える
+  function writeJson(targetPath, data) {
+    if (!fs.existsSync(path.dirname(targetPath))) {
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    }
+
+    const tmpPath = `${targetPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmpPath, targetPath);
+  }
+
+  function read(collection) {
+    if (!fs.existsSync(filePath(collection))) return {};
+    return JSON.parse(fs.readFileSync(filePath(collection), 'utf8')).records || {};
+  }
+
+  function write(collection, records) {
+    writeJson(filePath(collection), {
+      records,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // コレクション単位のファイル（以前の形式）があれば、レコードごとのファイルに分割する
+  function migrateRecordCollection(collection) {
+    if (!fs.existsSync(filePath(collection))) return;
+
+    for (const [key, value] of Object.entries(read(collection))) {
+      if (!fs.existsSync(recordPath(collection, key))) writeJson(recordPath(collection, key), value);
+    }
+    fs.unlinkSync(filePath(collection));
+  }
+
+  function readRecord(collection, key) {
+    migrateRecordCollection(collection);
+    if (!fs.existsSync(recordPath(collection, key))) return null;
+    return JSON.parse(fs.readFileSync(recordPath(collection, key), 'utf8'));
+  }
+
+  function listRecords(collection) {
+    migrateRecordCollection(collection);
+    if (!fs.existsSync(recordDir(collection))) return {};
+
+    const records = {};
+    for (const file of fs.readdirSync(recordDir(collection)).sort()) {
+      if (!file.endsWith('.json')) continue;
+      records[decodeURIComponent(file.slice(0, -'.json'.length))] =
+        JSON.parse(fs.readFileSync(path.join(recordDir(collection), file), 'utf8'));
+    }
+    return records;
+  }
+
+  function deleteRecord(collection, key) {
+    migrateRecordCollection(collection);
+    fs.rmSync(recordPath(collection, key), { force: true });
+  }
+
+  return {
+    name: 'file',
+    async get(collection, key) {
+      if (isRecordCollection(collection)) return readRecord(collection, key);
+      return read(collection)[key] ?? null;
+    },
+    async set(collection, key, value) {
+      if (isRecordCollection(collection)) {
+        migrateRecordCollection(collection);
+        return writeJson(recordPath(collection, key), value);
+      }
+
+      const records = read(collection);
+      records[key] = value;
+      write(collection, records);
+    },
+    async delete(collection, key) {
+      if (isRecordCollection(collection)) return deleteRecord(collection, key);
+
+      const records = read(collection);
+      if (!(key in records)) return;
+      delete records[key];
+      write(collection, records);
+    },
+    async list(collection) {
+      if (isRecordCollection(collection)) return listRecords(collection);
+      return read(collection);
+    },
+    async update(collection, key, fn) {
+      if (isRecordCollection(collection)) {
+        const next = fn(readRecord(collection, key));
+        if (next !== undefined) writeJson(recordPath(collection, key), next);
+        return next;
+      }
+
+      const records = read(collection);
+      const next = fn(records[key] ?? null);
+      if (next !== undefined) {
+        records[key] = next;
+        write(collection, records);
+      }
+      return next;
+    }
+  };
+}
+
+/**
+ * SQLite（better-sqlite3）
+ * update はトランザクション（BEGIN IMMEDIATE）で行うため、複数プロセスからの更新も直列化される
+ */
+function createSqliteStorage({ sqlitePath }) {
+  // 使う場合のみ読み込む（ネイティブモジュールのため）
+  const Database = require('better-sqlite3');
+
+  if (!fs.existsSync(path.dirname(sqlitePath))) {
+    fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+  }
+
+  const db = new Database(sqlitePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (collection, key)
+    )
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT value FROM records WHERE collection = ? AND key = ?'),
+    set: db.prepare(`
+      INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `),
+    delete: db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+    list: db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY rowid')
+  };
+
+  const get = (collection, key) => {
+    const row = statements.get.get(collection, key);
+    return row ? JSON.parse(row.value) : null;
+  };
+  const set = (collection, key, value) => {
+    statements.set.run(collection, key, JSON.stringify(value), Date.now());
+  };
+
+  const update = db.transaction((collection, key, fn) => {
+    const next = fn(get(collection, key));
+    if (next !== undefined) set(collection, key, next);
+    return next;
+  });
+
+  return {
+    name: 'sqlite',
+    async get(collection, key) {
+      return get(collection, key);
+    },
+    async set(collection, key, value) {
+      set(collection, key, value);
+    },
+    async delete(collection, key) {
+      statements.delete.run(collection, key);
+    },
+    async list(collection) {
+      return Object.fromEntries(statements.list.all(collection).map(row => [row.key, JSON.parse(row.value)]));
+    },
+    async update(collection, key, fn) {
+      return update.immediate(collection, key, fn);
+    }
+  };
+}
+
+/**
+ * Redis互換REST API（Upstash / Vercel KV）のクライアント
+ * command('HGET', key, field) のようにRedisコマンドを1つ実行する
+ */
+function createRestKvClient({ url, token, fetch = globalThis.fetch }) {
+  return {
+    async command(...args) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(args)
+      });
+
+      const body = await response.json().catch(() => null);
+      if (!response.ok || body?.error) {
+        throw new Error(`KV Error: ${response.status} ${body?.error || ''}`.trim());
+      }
+      return body.result;
+    }
+  };
+}
+
+/**
+ * KVストア（コレクションごとにRedisのハッシュ1つ）
+ * kvClient に command(...args) を持つオブジェクトを渡すと、任意のRedis互換クライアントに差し替えられる
+ * update はキー単位のロック（SET NX PX）を取ってから読み込み→保存する
+ */
+function createKvStorage({ kvUrl, kvToken, kvPrefix = '', kvClient }) {
+  const client = kvClient || createRestKvClient({ url: kvUrl, token: kvToken });
+  const hashKey = collection => `${kvPrefix}${collection}`;
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // 自分が取得したロックのみ解除する
+  const RELEASE_LOCK_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end return 0";
+
+  async function get(collection, key) {
+    const value = await client.command('HGET', hashKey(collection), key);
+    return value == null ? null : JSON.parse(value);
+  }
+
+  async function set(collection, key, value) {
+    await client.command('HSET', hashKey(collection), key, JSON.stringify(value));
+  }
+
+  return {
+    name: 'kv',
+    get,
+    set,
+    async delete(collection, key) {
+      await client.command('HDEL', hashKey(collection), key);
+    },
+    async list(collection) {
+      const flat = await client.command('HGETALL', hashKey(collection)) || [];
+      const records = {};
+      for (let i = 0; i < flat.length; i += 2) {
+        records[flat[i]] = JSON.parse(flat[i + 1]);
+      }
+      return records;
+    },
+    async update(collection, key, fn) {
+      const lockKey = `${kvPrefix}lock:${collection}:${key}`;
+      const lockToken = crypto.randomBytes(16).toString('hex');
+
+      for (let retries = 0; ; retries++) {
+        if (await client.command('SET', lockKey, lockToken, 'NX', 'PX', KV_LOCK_MS) === 'OK') break;
+        if (retries >= KV_LOCK_MAX_RETRIES) throw new Error(`KVのロックを取得できません: ${collection}/${key}`);
+        await sleep(KV_LOCK_RETRY_MS);
+      }
+
+      try {
+        const next = fn(await get(collection, key));
+        if (next !== undefined) await set(collection, key, next);
+        return next;
+      } finally {
+        await client.command('EVAL', RELEASE_LOCK_SCRIPT, 1, lockKey, lockToken);
+      }
+    }
+  };
+}
+
+/**
+ * 書き込みをメモリ上に保持し、元のストレージを変更しないストレージ（ドライラン用）
+ * 読み込みは書き込み済みの値を優先し、なければ元のストレージから読む
+ */
+function createOverlayStorage(base) {
+  // コレクション -> キー -> 値（削除したキーはnull）
+  const writes = new Map();
+  const written = collection => writes.get(collection) || writes.set(collection, new Map()).get(collection);
+
+  async function get(collection, key) {
+    const value = written(collection).has(key) ? written(collection).get(key) : await base.get(collection, key);
+    return value == null ? null : structuredClone(value);
+  }
+
+  async function set(collection, key, value) {
+    written(collection).set(key, structuredClone(value));
+  }
+
+  return {
+    name: base.name,
+    get,
+    set,
+    async delete(collection, key) {
+      written(collection).set(key, null);
+    },
+    async list(collection) {
+      const records = await base.list(collection);
+      for (const [key, value] of written(collection)) {
+        if (value === null) {
+          delete records[key];
+        } else {
+          records[key] = structuredClone(value);
+        }
+      }
+      return records;
+    },
+    async update(collection, key, fn) {
+      const next = fn(await get(collection, key));
+      if (next !== undefined) await set(collection, key, next);
+      return next;
+    }
+  };
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorage,
+  createOverlayStorage,
+  getMissingStorageEnvs
+};
@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * 管理画面のレイアウト
+ */
+
+const { escapeHtml } = require('./html');
+
+/**
+ * 管理画面 HTML生成
+ */
+function generateAdminPage(activeTab, content, notice) {
+  const tabs = [
+    ['purchases', '/admin', '購入一覧'],
+    ['mail-queue', '/admin/mail-queue', 'メール送信キュー'],
+    ['events', '/admin/events', 'Webhookイベント'],
+    ['analytics', '/admin/analytics', '視聴分析']
+  ];
+
+  return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>管理画面</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN', Meiryo, sans-serif;
+      background: #f5f5f5;
+      padding: 32px 20px;
+      color: #333;
+      font-size: 13px;
+    }
+    .container {
+      max-width: 1100px;
+      margin: 0 auto;
+    }
+    h1 {
+      font-size: 18px;
+      font-weight: 600;
+      letter-spacing: 2px;
+      margin-bottom: 20px;
+    }
+    h2 {
+      font-size: 14px;
+      font-weight: 600;
+      margin: 32px 0 12px;
+    }
+    nav {
+      display: flex;
+      gap: 8px;
+      margin-bottom: 24px;
+    }
+    nav a {
+      padding: 8px 16px;
+      border-radius: 4px;
+      background: white;
+      color: #333;
+      text-decoration: none;
+      border: 1px solid #e8e8e8;
+    }
+    nav a.active {
+      background: #1a1a1a;
+      color: white;
+      border-color: #1a1a1a;
+    }
+    .notice {
+      background: #f0f9ff;
+      border: 1px solid #bae6fd;
+      border-radius: 6px;
+      padding: 12px 16px;
+      color: #0c4a6e;
+      margin-bottom: 16px;
+    }
+    .hint {
+      color: #888;
+      margin-bottom: 12px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      background: white;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.08);
+      border-radius: 6px;
+      overflow: hidden;
+    }
+    th, td {
+      text-align: left;
+      padding: 10px 12px;
+      border-bottom: 1px solid #eee;
+      vertical-align: top;
+    }
+    th {
+      background: #fafafa;
+      font-weight: 600;
+      white-space: nowrap;
+    }
+    td.keys, td.error {
+      font-family: Menlo, Consolas, monospace;
+      font-size: 12px;
+      word-break: break-all;
+    }
+    .status {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 3px;
+      background: #eee;
+      font-size: 11px;
+    }
+    .status-paid, .status-active, .status-delivered, .status-done, .status-processed { background: #dcfce7; color: #166534; }
+    .status-refunded, .status-disputed, .status-canceled, .status-dead, .status-failed { background: #fee2e2; color: #991b1b; }
+    .status-past_due, .status-unpaid, .status-pending, .status-processing, .status-skipped, .status-dry_run { background: #fef3c7; color: #92400e; }
+    .curve {
+      display: flex;
+      align-items: flex-end;
+      gap: 2px;
+      width: 200px;
+      height: 48px;
+    }
+    .curve .bar {
+      flex: 1;
+      background: #6c63ff;
+      border-radius: 1px 1px 0 0;
+    }
+    form.search, form.grant, form.replay {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+    }
+    form.grant fieldset {
+      width: 100%;
+      border: 1px solid #e8e8e8;
+      border-radius: 6px;
+      padding: 12px;
+      background: white;
+    }
+    form.grant label {
+      display: inline-block;
+      margin: 4px 16px 4px 0;
+    }
+    input[type="text"], input[type="email"], textarea {
+      padding: 8px 12px;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      min-width: 280px;
+    }
+    form.replay textarea {
+      width: 100%;
+      font-family: monospace;
+    }
+    form.replay label {
+      align-self: center;
+    }
+    details summary {
+      cursor: pointer;
+      margin-top: 4px;
+    }
+    details pre {
+      white-space: pre-wrap;
+      background: #fafafa;
+      border: 1px solid #eee;
+      border-radius: 4px;
+      padding: 8px;
+      margin-top: 4px;
+      font-size: 12px;
+    }
+    button {
+      padding: 8px 16px;
+      background: #1a1a1a;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 12px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>管理画面</h1>
+    <nav>
+      ${tabs.map(([id, href, label]) => `<a href="${href}"${id === activeTab ? ' class="active"' : ''}>${label}</a>`).join('')}
+    </nav>
+    ${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ''}
+    ${content}
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  generateAdminPage
+};
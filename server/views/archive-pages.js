@@ -0,0 +1,524 @@
+'use strict';
+
+/**
+ * アーカイブ動画のページ（ログイン・ライブラリ・エラー・案内）
+ */
+
+const { escapeHtml, formatBrandTitle } = require('./html');
+
+/**
+ * アーカイブ動画のページを生成する関数を作成
+ */
+function createArchivePages({ catalog }) {
+  /**
+   * アーカイブのログインページ HTML生成（メールアドレス入力フォーム）
+   */
+  function generateArchiveLoginPage() {
+    return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(catalog.archiveTitle)} アーカイブ動画</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN', Meiryo, sans-serif;
+      background: linear-gradient(135deg, #0a0a0a 0%, #1a1a2e 50%, #0a0a0a 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 40px 20px;
+      color: #e0e0e0;
+    }
+    .container {
+      max-width: 480px;
+      width: 100%;
+    }
+    .card {
+      background: rgba(255, 255, 255, 0.04);
+      border: 1px solid rgba(255, 255, 255, 0.08);
+      border-radius: 16px;
+      padding: 48px 40px;
+      backdrop-filter: blur(20px);
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+    }
+    .logo {
+      text-align: center;
+      margin-bottom: 40px;
+    }
+    .logo h1 {
+      font-size: 32px;
+      font-weight: 700;
+      letter-spacing: 6px;
+      color: #ffffff;
+      margin-bottom: 4px;
+    }
+    .logo .dot {
+      color: #6c63ff;
+    }
+    .logo .subtitle {
+      font-size: 13px;
+      color: #888;
+      letter-spacing: 3px;
+      margin-top: 8px;
+    }
+    .description {
+      text-align: center;
+      font-size: 14px;
+      color: #999;
+      line-height: 1.8;
+      margin-bottom: 36px;
+    }
+    .form-group {
+      margin-bottom: 24px;
+    }
+    .form-group label {
+      display: block;
+      font-size: 12px;
+      font-weight: 600;
+      color: #aaa;
+      letter-spacing: 2px;
+      margin-bottom: 8px;
+      text-transform: uppercase;
+    }
+    .form-group input {
+      width: 100%;
+      padding: 14px 16px;
+      background: rgba(255, 255, 255, 0.06);
+      border: 1px solid rgba(255, 255, 255, 0.12);
+      border-radius: 8px;
+      color: #fff;
+      font-size: 16px;
+      outline: none;
+      transition: border-color 0.3s, box-shadow 0.3s;
+    }
+    .form-group input::placeholder {
+      color: #555;
+    }
+    .form-group input:focus {
+      border-color: #6c63ff;
+      box-shadow: 0 0 0 3px rgba(108, 99, 255, 0.15);
+    }
+    .submit-btn {
+      width: 100%;
+      padding: 16px;
+      background: linear-gradient(135deg, #6c63ff, #4834d4);
+      color: white;
+      border: none;
+      border-radius: 8px;
+      font-size: 15px;
+      font-weight: 600;
+      letter-spacing: 1px;
+      cursor: pointer;
+      transition: transform 0.2s, box-shadow 0.2s;
+    }
+    .submit-btn:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 4px 20px rgba(108, 99, 255, 0.4);
+    }
+    .submit-btn:active {
+      transform: translateY(0);
+    }
+    .footer {
+      text-align: center;
+      margin-top: 32px;
+      font-size: 12px;
+      color: #555;
+    }
+    .footer a {
+      color: #6c63ff;
+      text-decoration: none;
+    }
+    @media (max-width: 520px) {
+      .card {
+        padding: 36px 24px;
+      }
+      .logo h1 {
+        font-size: 26px;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="card">
+      <div class="logo">
+        <h1>${formatBrandTitle(catalog.archiveTitle)}</h1>
+        <p class="subtitle">アーカイブ動画</p>
+      </div>
+      <p class="description">
+        チケットをご購入いただいた方・サークル会員の方は<br>
+        購入時（ご登録時）のメールアドレスを入力してください。<br>
+        ログイン用のリンクをメールでお送りします。
+      </p>
+      <form action="/archive/verify" method="POST">
+        <div class="form-group">
+          <label>メールアドレス</label>
+          <input type="email" name="email" placeholder="example@email.com" required autocomplete="email">
+        </div>
+        <button type="submit" class="submit-btn">ログインリンクを送信</button>
+      </form>
+    </div>
+    <div class="footer">
+      <p>&copy; AI Architecture Circle</p>
+    </div>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * アーカイブライブラリ HTML生成（視聴できるイベントの一覧）
+   * viewerKeys: 視聴できるセッションキー（最新のエンタイトルメントで確認済みのもの）
+   */
+  function generateArchiveLibraryPage(archiveSession, viewerKeys) {
+
+    const eventCards = catalog.events.map(event => {
+      const totalCount = Object.keys(event.archiveSessions).length;
+      const entitledCount = viewerKeys.filter(k => k.startsWith(`${event.slug}:`)).length;
+      if (entitledCount === 0) return '';
+
+      return `
+    <a href="/archive/${event.slug}" class="event-card">
+      <div class="event-info">
+        <h3>${escapeHtml(event.title)}</h3>
+        <span class="event-date">${escapeHtml(event.dateLabel || '')}</span>
+      </div>
+      <span class="event-count">${entitledCount} / ${totalCount} セッション</span>
+    </a>`;
+    }).join('');
+
+    return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(catalog.archiveTitle)} アーカイブ動画</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN', Meiryo, sans-serif;
+      background: linear-gradient(180deg, #0a0a0a 0%, #1a1a2e 30%, #16213e 60%, #0a0a0a 100%);
+      min-height: 100vh;
+      padding: 40px 20px 60px;
+      color: #e0e0e0;
+    }
+    .page-header {
+      text-align: center;
+      margin-bottom: 48px;
+      padding-top: 20px;
+    }
+    .page-header h1 {
+      font-size: 36px;
+      font-weight: 700;
+      letter-spacing: 6px;
+      color: #ffffff;
+      margin-bottom: 4px;
+    }
+    .page-header h1 .dot { color: #6c63ff; }
+    .page-header .subtitle {
+      font-size: 14px;
+      color: #888;
+      letter-spacing: 3px;
+      margin-top: 8px;
+    }
+    .member-badge {
+      display: inline-block;
+      margin-top: 16px;
+      padding: 6px 20px;
+      background: rgba(108, 99, 255, 0.15);
+      border: 1px solid rgba(108, 99, 255, 0.3);
+      border-radius: 20px;
+      font-size: 13px;
+      color: #a29bfe;
+      letter-spacing: 1px;
+    }
+    .events-grid {
+      max-width: 800px;
+      margin: 0 auto;
+      display: flex;
+      flex-direction: column;
+      gap: 16px;
+    }
+    .event-card {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 16px;
+      padding: 24px;
+      background: rgba(255, 255, 255, 0.03);
+      border: 1px solid rgba(255, 255, 255, 0.07);
+      border-radius: 16px;
+      color: inherit;
+      text-decoration: none;
+      transition: border-color 0.3s, box-shadow 0.3s, transform 0.2s;
+    }
+    .event-card:hover {
+      border-color: rgba(108, 99, 255, 0.3);
+      box-shadow: 0 4px 24px rgba(108, 99, 255, 0.1);
+      transform: translateY(-2px);
+    }
+    .event-info h3 {
+      font-size: 18px;
+      font-weight: 600;
+      color: #fff;
+      margin-bottom: 4px;
+    }
+    .event-date {
+      font-size: 12px;
+      color: #888;
+      letter-spacing: 1px;
+    }
+    .event-count {
+      flex-shrink: 0;
+      font-size: 13px;
+      color: #a29bfe;
+    }
+    .page-footer {
+      max-width: 800px;
+      margin: 60px auto 0;
+      padding-top: 20px;
+      text-align: center;
+    }
+    .page-footer p {
+      font-size: 12px;
+      color: #555;
+      line-height: 2;
+    }
+    .page-footer a {
+      color: #888;
+      text-decoration: none;
+    }
+    @media (max-width: 600px) {
+      body { padding: 24px 12px 40px; }
+      .page-header h1 { font-size: 28px; }
+      .event-card { flex-direction: column; align-items: flex-start; }
+    }
+  </style>
+</head>
+<body>
+  <div class="page-header">
+    <h1>${formatBrandTitle(catalog.archiveTitle)}</h1>
+    <p class="subtitle">アーカイブ動画</p>
+    ${archiveSession.circle ? '<div class="member-badge">サークル会員：全アーカイブ視聴可能</div>' : ''}
+  </div>
+
+  <div class="events-grid">
+    ${eventCards || '<p class="subtitle" style="text-align: center;">視聴できるアーカイブはまだありません</p>'}
+  </div>
+
+  <div class="page-footer">
+    <p><a href="/archive/logout">ログアウト</a></p>
+    <p>&copy; AI Architecture Circle</p>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * アーカイブエラーページ HTML生成
+   */
+  function generateArchiveErrorPage(message, title = '購入履歴が見つかりません') {
+    return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(catalog.archiveTitle)} アーカイブ動画</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN', Meiryo, sans-serif;
+      background: linear-gradient(135deg, #0a0a0a 0%, #1a1a2e 50%, #0a0a0a 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 40px 20px;
+      color: #e0e0e0;
+    }
+    .container {
+      max-width: 480px;
+      width: 100%;
+    }
+    .card {
+      background: rgba(255, 255, 255, 0.04);
+      border: 1px solid rgba(255, 255, 255, 0.08);
+      border-radius: 16px;
+      padding: 48px 40px;
+      backdrop-filter: blur(20px);
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+      text-align: center;
+    }
+    .error-icon {
+      width: 64px;
+      height: 64px;
+      margin: 0 auto 24px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(255, 107, 107, 0.1);
+      border: 1px solid rgba(255, 107, 107, 0.2);
+      border-radius: 50%;
+      font-size: 28px;
+    }
+    .card h2 {
+      font-size: 18px;
+      font-weight: 600;
+      color: #fff;
+      margin-bottom: 16px;
+    }
+    .card p {
+      font-size: 14px;
+      color: #999;
+      line-height: 1.8;
+      margin-bottom: 32px;
+    }
+    .back-btn {
+      display: inline-block;
+      padding: 14px 32px;
+      background: linear-gradient(135deg, #6c63ff, #4834d4);
+      color: white;
+      text-decoration: none;
+      border-radius: 8px;
+      font-size: 14px;
+      font-weight: 600;
+      transition: transform 0.2s, box-shadow 0.2s;
+    }
+    .back-btn:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 4px 20px rgba(108, 99, 255, 0.4);
+    }
+    @media (max-width: 520px) {
+      .card { padding: 36px 24px; }
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="card">
+      <div class="error-icon">✕</div>
+      <h2>${title}</h2>
+      <p>${message}</p>
+      <a href="/archive" class="back-btn">もう一度入力する</a>
+    </div>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * アーカイブ案内ページ HTML生成（ログインリンク送信完了・ログイン確認）
+   */
+  function generateArchiveNoticePage(title, message, actionHtml) {
+    return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(catalog.archiveTitle)} アーカイブ動画</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN', Meiryo, sans-serif;
+      background: linear-gradient(135deg, #0a0a0a 0%, #1a1a2e 50%, #0a0a0a 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 40px 20px;
+      color: #e0e0e0;
+    }
+    .container {
+      max-width: 480px;
+      width: 100%;
+    }
+    .card {
+      background: rgba(255, 255, 255, 0.04);
+      border: 1px solid rgba(255, 255, 255, 0.08);
+      border-radius: 16px;
+      padding: 48px 40px;
+      backdrop-filter: blur(20px);
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+      text-align: center;
+    }
+    .notice-icon {
+      width: 64px;
+      height: 64px;
+      margin: 0 auto 24px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(108, 99, 255, 0.1);
+      border: 1px solid rgba(108, 99, 255, 0.2);
+      border-radius: 50%;
+      font-size: 28px;
+    }
+    .card h2 {
+      font-size: 18px;
+      font-weight: 600;
+      color: #fff;
+      margin-bottom: 16px;
+    }
+    .card p {
+      font-size: 14px;
+      color: #999;
+      line-height: 1.8;
+      margin-bottom: 32px;
+    }
+    .action-btn {
+      display: inline-block;
+      padding: 14px 32px;
+      background: linear-gradient(135deg, #6c63ff, #4834d4);
+      color: white;
+      text-decoration: none;
+      border: none;
+      border-radius: 8px;
+      font-size: 14px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: transform 0.2s, box-shadow 0.2s;
+    }
+    .action-btn:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 4px 20px rgba(108, 99, 255, 0.4);
+    }
+    @media (max-width: 520px) {
+      .card { padding: 36px 24px; }
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="card">
+      <div class="notice-icon">✉</div>
+      <h2>${title}</h2>
+      <p>${message}</p>
+      ${actionHtml}
+    </div>
+  </div>
+</body>
+</html>`;
+  }
+
+  return {
+    generateArchiveLoginPage,
+    generateArchiveLibraryPage,
+    generateArchiveErrorPage,
+    generateArchiveNoticePage
+  };
+}
+
+module.exports = {
+  createArchivePages
+};
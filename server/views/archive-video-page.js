@@ -0,0 +1,1190 @@
+'use strict';
+
+/**
+ * アーカイブ動画の視聴ページ
+ *
+ * - YouTube限定公開・HLS（署名付きURL）のプレイヤー
+ * - 続きから再生・チャプター・配布資料・視聴イベントの送信
+ */
+
+const { WATCH_COMPLETE_RATIO } = require('../services/viewing');
+const { escapeHtml, formatBrandTitle } = require('./html');
+
+/**
+ * アーカイブ動画の視聴ページを生成する関数を作成
+ */
+function createArchiveVideoPage({ catalog, archiveAccess }) {
+  const { findArchiveSession } = catalog;
+  const { getArchiveVideoSource } = archiveAccess;
+
+  /**
+   * プレイヤー要素用のキー（"aifes:A" → "aifes__A"）
+   */
+  function toPlayerKey(qualifiedKey) {
+    return qualifiedKey.replace(':', '__');
+  }
+
+  /**
+   * 再生位置の表示（"m:ss"、プレイヤーの表示と同じ形式）
+   */
+  function formatPlaybackTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const sec = Math.floor(seconds % 60);
+    return `${m}:${sec < 10 ? '0' : ''}${sec}`;
+  }
+
+  /**
+   * 続きから再生する位置（冒頭・終盤の30秒以内なら最初から再生）
+   */
+  function getResumePosition(sessionProgress) {
+    if (!sessionProgress) return 0;
+    const { position, duration } = sessionProgress;
+    if (position < 30 || position > duration - 30) return 0;
+    return position;
+  }
+
+  /**
+   * アーカイブ動画ページ HTML生成（1イベント分）
+   * email: 視聴者のメールアドレス（HLSの署名付きURL用）
+   * progress: ユーザーの視聴進捗（getWatchProgress）
+   */
+  function generateArchiveVideoPage(event, sessionKeys, { email, progress = {} }) {
+    const entries = sessionKeys.map(findArchiveSession).filter(entry => entry && entry.event === event);
+    const pageTitle = event.title;
+
+    const sessionCards = entries.map(entry => {
+      const { session } = entry;
+      const key = toPlayerKey(entry.qualifiedKey);
+      const sessionProgress = progress[entry.qualifiedKey];
+      const resumePosition = session.video ? getResumePosition(sessionProgress) : 0;
+
+      const videoContent = session.video
+        ? `<div class="video-wrapper" oncontextmenu="return false">
+           ${session.video.provider === 'hls'
+               ? `<video id="player-${key}" playsinline preload="metadata" disablepictureinpicture controlslist="nodownload"></video>`
+               : `<div id="player-${key}"></div>`}
+           <div class="video-overlay" data-player="${key}" oncontextmenu="return false">
+             <div class="play-btn">▶</div>
+             ${resumePosition ? `<div class="resume-label" data-player="${key}">続きから再生（${formatPlaybackTime(resumePosition)}〜）</div>` : ''}
+           </div>
+           <div class="custom-controls" data-player="${key}" oncontextmenu="return false">
+             <button class="ctrl-btn ctrl-play" data-player="${key}" onclick="togglePlay('${key}')">▶</button>
+             <span class="ctrl-time" data-player="${key}">0:00</span>
+             <div class="ctrl-seek-wrap" data-player="${key}">
+               <input type="range" class="ctrl-seek" data-player="${key}" min="0" max="100" value="0" step="0.1"
+                 oninput="seekTo('${key}', this.value)" onmousedown="seekStart('${key}')" onmouseup="seekEnd('${key}')">
+               <div class="ctrl-seek-progress" data-player="${key}"></div>
+               ${session.chapters.map(chapter => `<button class="chapter-marker" data-player="${key}" data-time="${chapter.seconds}" title="${formatPlaybackTime(chapter.seconds)} ${escapeHtml(chapter.title)}" onclick="jumpToChapter('${key}', ${chapter.seconds})"></button>`).join('')}
+             </div>
+             <span class="ctrl-duration" data-player="${key}">0:00</span>
+             <div class="ctrl-vol-wrap">
+               <button class="ctrl-btn ctrl-vol-icon" onclick="toggleMute('${key}')">🔊</button>
+               <input type="range" class="ctrl-vol" data-player="${key}" min="0" max="100" value="100"
+                 oninput="setVolume('${key}', this.value)">
+             </div>
+             <select class="ctrl-speed" data-player="${key}" onchange="setSpeed('${key}', this.value)">
+               <option value="0.5">0.5x</option>
+               <option value="0.75">0.75x</option>
+               <option value="1" selected>1x</option>
+               <option value="1.25">1.25x</option>
+               <option value="1.5">1.5x</option>
+               <option value="2">2x</option>
+             </select>
+             <button class="ctrl-btn ctrl-fs" onclick="toggleFullscreen(this)">⛶</button>
+           </div>
+         </div>`
+        : `<div class="video-placeholder">
+           <div class="placeholder-icon">▶</div>
+           <p>${session.comingSoon ? '後日公開予定' : '準備中'}</p>
+           <span>${session.comingSoon || '動画は近日公開予定です'}</span>
+         </div>`;
+
+      const chapterList = session.video && session.chapters.length > 0
+        ? `<ol class="chapter-list">
+           ${session.chapters.map(chapter => `<li>
+             <button class="chapter-item" data-player="${key}" data-time="${chapter.seconds}" onclick="jumpToChapter('${key}', ${chapter.seconds})">
+               <span class="chapter-time">${formatPlaybackTime(chapter.seconds)}</span>
+               <span class="chapter-title">${escapeHtml(chapter.title)}</span>
+             </button>
+           </li>`).join('')}
+         </ol>`
+        : '';
+
+      const materialList = session.materials.length > 0
+        ? `<div class="material-list">
+           <span class="material-heading">配布資料</span>
+           ${session.materials.map(material => `<a class="material-link" href="/archive/${event.slug}/materials/${entry.key}/${material.id}">
+             <span class="material-icon">⬇</span>${escapeHtml(material.title)}
+           </a>`).join('')}
+         </div>`
+        : '';
+
+      return `
+    <div class="session-card">
+      <div class="session-header">
+        <span class="session-badge">${entry.key}</span>
+        <div class="session-info">
+          <h3>${session.name}</h3>
+          <span class="session-duration">${session.duration}</span>
+        </div>
+        ${resumePosition ? `<button class="restart-btn" data-player="${key}" onclick="restartVideo('${key}')">最初から再生</button>` : ''}
+        <span class="watched-badge${sessionProgress?.completed ? '' : ' hidden'}" data-player="${key}">✓ 視聴済み</span>
+      </div>
+      ${videoContent}
+      ${chapterList}
+      ${materialList}
+    </div>`;
+    }).join('');
+
+    return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(pageTitle)} アーカイブ動画</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN', Meiryo, sans-serif;
+      background: linear-gradient(180deg, #0a0a0a 0%, #1a1a2e 30%, #16213e 60%, #0a0a0a 100%);
+      min-height: 100vh;
+      padding: 40px 20px 60px;
+      color: #e0e0e0;
+      -webkit-user-select: none;
+      -moz-user-select: none;
+      -ms-user-select: none;
+      user-select: none;
+    }
+
+    /* Header */
+    .page-header {
+      text-align: center;
+      margin-bottom: 48px;
+      padding-top: 20px;
+    }
+    .page-header h1 {
+      font-size: 36px;
+      font-weight: 700;
+      letter-spacing: 6px;
+      color: #ffffff;
+      margin-bottom: 4px;
+    }
+    .page-header h1 .dot { color: #6c63ff; }
+    .page-header .back-link {
+      display: inline-block;
+      margin-bottom: 20px;
+      font-size: 13px;
+      color: #888;
+      text-decoration: none;
+      letter-spacing: 1px;
+    }
+    .page-header .back-link:hover { color: #a29bfe; }
+    .page-header .subtitle {
+      font-size: 14px;
+      color: #888;
+      letter-spacing: 3px;
+      margin-top: 8px;
+    }
+    .page-header .session-count {
+      display: inline-block;
+      margin-top: 16px;
+      padding: 6px 20px;
+      background: rgba(108, 99, 255, 0.15);
+      border: 1px solid rgba(108, 99, 255, 0.3);
+      border-radius: 20px;
+      font-size: 13px;
+      color: #a29bfe;
+      letter-spacing: 1px;
+    }
+
+    .notice-bar {
+      max-width: 800px;
+      margin: 0 auto 40px;
+      padding: 12px 20px;
+      background: rgba(255, 193, 7, 0.08);
+      border: 1px solid rgba(255, 193, 7, 0.2);
+      border-radius: 8px;
+      text-align: center;
+      font-size: 13px;
+      color: #ffd43b;
+    }
+
+    /* Session Cards */
+    .sessions-grid {
+      max-width: 800px;
+      margin: 0 auto;
+      display: flex;
+      flex-direction: column;
+      gap: 28px;
+    }
+    .session-card {
+      background: rgba(255, 255, 255, 0.03);
+      border: 1px solid rgba(255, 255, 255, 0.07);
+      border-radius: 16px;
+      overflow: hidden;
+      transition: border-color 0.3s, box-shadow 0.3s;
+    }
+    .session-card:hover {
+      border-color: rgba(108, 99, 255, 0.3);
+      box-shadow: 0 4px 24px rgba(108, 99, 255, 0.1);
+    }
+    .session-header {
+      display: flex;
+      align-items: center;
+      gap: 16px;
+      padding: 20px 24px;
+    }
+    .session-badge {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      min-width: 44px;
+      height: 44px;
+      padding: 0 12px;
+      background: linear-gradient(135deg, #6c63ff, #4834d4);
+      border-radius: 10px;
+      font-size: 15px;
+      font-weight: 700;
+      color: white;
+      letter-spacing: 1px;
+    }
+    .session-info {
+      flex: 1;
+    }
+    .session-info h3 {
+      font-size: 16px;
+      font-weight: 600;
+      color: #fff;
+      margin-bottom: 4px;
+    }
+    .session-duration {
+      font-size: 12px;
+      color: #888;
+      letter-spacing: 1px;
+    }
+    .watched-badge {
+      padding: 4px 10px;
+      background: rgba(46, 204, 113, 0.12);
+      border: 1px solid rgba(46, 204, 113, 0.4);
+      border-radius: 999px;
+      font-size: 11px;
+      font-weight: 600;
+      color: #2ecc71;
+      white-space: nowrap;
+    }
+    .watched-badge.hidden { display: none; }
+    .restart-btn {
+      padding: 6px 12px;
+      background: transparent;
+      border: 1px solid rgba(255,255,255,0.2);
+      border-radius: 6px;
+      font-size: 11px;
+      color: #aaa;
+      cursor: pointer;
+      white-space: nowrap;
+      transition: border-color 0.2s, color 0.2s;
+    }
+    .restart-btn:hover {
+      border-color: #6c63ff;
+      color: #fff;
+    }
+
+    /* Video Embed */
+    .video-wrapper {
+      position: relative;
+      width: 100%;
+      padding-top: 56.25%;
+      background: #000;
+    }
+    .video-wrapper iframe,
+    .video-wrapper video,
+    .video-wrapper > div:first-child {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+    }
+    .video-overlay {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      z-index: 1;
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0,0,0,0.15);
+      transition: background 0.3s;
+    }
+    .video-overlay.playing {
+      background: transparent;
+    }
+    .video-overlay:hover {
+      background: rgba(0,0,0,0.25);
+    }
+    .video-overlay.playing:hover {
+      background: rgba(0,0,0,0.15);
+    }
+    .play-btn {
+      font-size: 48px;
+      color: rgba(255,255,255,0.9);
+      text-shadow: 0 2px 8px rgba(0,0,0,0.5);
+      transition: opacity 0.3s, transform 0.2s;
+      pointer-events: none;
+    }
+    .video-overlay.playing .play-btn {
+      opacity: 0;
+    }
+    .video-overlay.playing:hover .play-btn {
+      opacity: 0.8;
+    }
+    .resume-label {
+      position: absolute;
+      bottom: 64px;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 6px 14px;
+      background: rgba(0,0,0,0.7);
+      border-radius: 999px;
+      font-size: 13px;
+      color: #fff;
+      white-space: nowrap;
+      pointer-events: none;
+    }
+    .video-overlay.playing .resume-label {
+      display: none;
+    }
+    /* Custom Controls */
+    .custom-controls {
+      position: absolute;
+      bottom: 0;
+      left: 0;
+      right: 0;
+      z-index: 3;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 12px;
+      background: linear-gradient(transparent, rgba(0,0,0,0.85));
+      opacity: 0;
+      transition: opacity 0.3s;
+    }
+    .video-wrapper:hover .custom-controls {
+      opacity: 1;
+    }
+    .ctrl-btn {
+      background: none;
+      border: none;
+      color: #fff;
+      font-size: 16px;
+      cursor: pointer;
+      padding: 4px;
+      line-height: 1;
+      flex-shrink: 0;
+    }
+    .ctrl-btn:hover { color: #6c63ff; }
+    .ctrl-time, .ctrl-duration {
+      font-size: 11px;
+      color: #ccc;
+      font-variant-numeric: tabular-nums;
+      flex-shrink: 0;
+      min-width: 36px;
+    }
+    .ctrl-seek-wrap {
+      flex: 1;
+      position: relative;
+      height: 16px;
+      display: flex;
+      align-items: center;
+    }
+    .ctrl-seek {
+      -webkit-appearance: none;
+      appearance: none;
+      width: 100%;
+      height: 4px;
+      background: rgba(255,255,255,0.2);
+      border-radius: 2px;
+      outline: none;
+      cursor: pointer;
+      position: relative;
+      z-index: 1;
+    }
+    .ctrl-seek::-webkit-slider-thumb {
+      -webkit-appearance: none;
+      width: 12px;
+      height: 12px;
+      border-radius: 50%;
+      background: #6c63ff;
+      cursor: pointer;
+    }
+    .ctrl-seek::-moz-range-thumb {
+      width: 12px;
+      height: 12px;
+      border-radius: 50%;
+      background: #6c63ff;
+      border: none;
+      cursor: pointer;
+    }
+    .ctrl-seek-progress {
+      position: absolute;
+      left: 0;
+      top: 50%;
+      transform: translateY(-50%);
+      height: 4px;
+      background: #6c63ff;
+      border-radius: 2px;
+      pointer-events: none;
+      width: 0%;
+    }
+    .chapter-marker {
+      display: none;
+      position: absolute;
+      top: 50%;
+      width: 4px;
+      height: 10px;
+      margin-left: -2px;
+      padding: 0;
+      transform: translateY(-50%);
+      background: rgba(255,255,255,0.8);
+      border: none;
+      border-radius: 1px;
+      cursor: pointer;
+      z-index: 2;
+    }
+    .chapter-marker.positioned { display: block; }
+    .chapter-marker:hover { background: #fff; height: 14px; }
+    /* Chapters */
+    .chapter-list {
+      list-style: none;
+      padding: 8px 12px 12px;
+      border-top: 1px solid rgba(255,255,255,0.06);
+    }
+    .chapter-item {
+      display: flex;
+      gap: 12px;
+      width: 100%;
+      padding: 8px 12px;
+      background: transparent;
+      border: none;
+      border-radius: 6px;
+      color: #ccc;
+      font-size: 13px;
+      text-align: left;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+    .chapter-item:hover { background: rgba(255,255,255,0.05); }
+    .chapter-item.active { background: rgba(108, 99, 255, 0.15); color: #fff; }
+    .chapter-time {
+      min-width: 48px;
+      color: #6c63ff;
+      font-family: Menlo, Consolas, monospace;
+      font-size: 12px;
+    }
+    /* Materials */
+    .material-list {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      padding: 16px 24px 20px;
+      border-top: 1px solid rgba(255,255,255,0.06);
+    }
+    .material-heading {
+      margin-right: 4px;
+      font-size: 12px;
+      color: #888;
+      letter-spacing: 1px;
+    }
+    .material-link {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+      padding: 6px 14px;
+      background: rgba(108, 99, 255, 0.12);
+      border: 1px solid rgba(108, 99, 255, 0.3);
+      border-radius: 6px;
+      font-size: 13px;
+      color: #fff;
+      text-decoration: none;
+      transition: background 0.2s;
+    }
+    .material-link:hover { background: rgba(108, 99, 255, 0.25); }
+    .material-icon { color: #6c63ff; }
+    .ctrl-vol-wrap {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      flex-shrink: 0;
+    }
+    .ctrl-vol {
+      -webkit-appearance: none;
+      appearance: none;
+      width: 60px;
+      height: 4px;
+      background: rgba(255,255,255,0.2);
+      border-radius: 2px;
+      outline: none;
+      cursor: pointer;
+    }
+    .ctrl-vol::-webkit-slider-thumb {
+      -webkit-appearance: none;
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      background: #fff;
+      cursor: pointer;
+    }
+    .ctrl-vol::-moz-range-thumb {
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      background: #fff;
+      border: none;
+      cursor: pointer;
+    }
+    .ctrl-speed {
+      background: rgba(255,255,255,0.1);
+      border: 1px solid rgba(255,255,255,0.2);
+      border-radius: 4px;
+      color: #fff;
+      font-size: 11px;
+      padding: 2px 4px;
+      cursor: pointer;
+      outline: none;
+      flex-shrink: 0;
+    }
+    .ctrl-speed option { background: #222; color: #fff; }
+    .ctrl-fs {
+      font-size: 18px;
+    }
+    .video-wrapper:fullscreen,
+    .video-wrapper:-webkit-full-screen {
+      background: #000;
+      padding-top: 0;
+      width: 100vw;
+      height: 100vh;
+    }
+    .video-wrapper:fullscreen iframe,
+    .video-wrapper:-webkit-full-screen iframe,
+    .video-wrapper:fullscreen video,
+    .video-wrapper:-webkit-full-screen video,
+    .video-wrapper:fullscreen > div:first-child,
+    .video-wrapper:-webkit-full-screen > div:first-child {
+      width: 100% !important;
+      height: 100% !important;
+    }
+    .video-wrapper:fullscreen .video-overlay,
+    .video-wrapper:-webkit-full-screen .video-overlay {
+      width: 100%;
+      height: 100%;
+    }
+    .video-wrapper:fullscreen .custom-controls,
+    .video-wrapper:-webkit-full-screen .custom-controls {
+      opacity: 1;
+      padding: 12px 20px;
+    }
+
+    @media (max-width: 600px) {
+      .ctrl-vol-wrap { display: none; }
+      .ctrl-vol { width: 40px; }
+      .custom-controls { gap: 6px; padding: 6px 8px; }
+    }
+
+    /* Placeholder */
+    .video-placeholder {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      padding: 48px 20px;
+      background: rgba(0, 0, 0, 0.3);
+      text-align: center;
+    }
+    .placeholder-icon {
+      width: 64px;
+      height: 64px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(255, 255, 255, 0.06);
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 50%;
+      font-size: 24px;
+      color: #555;
+      margin-bottom: 16px;
+    }
+    .video-placeholder p {
+      font-size: 16px;
+      font-weight: 600;
+      color: #666;
+      margin-bottom: 4px;
+    }
+    .video-placeholder span {
+      font-size: 13px;
+      color: #444;
+    }
+
+    /* Footer */
+    /* Contact Section */
+    .contact-section {
+      max-width: 800px;
+      margin: 60px auto 0;
+      padding-top: 40px;
+      border-top: 1px solid rgba(255, 255, 255, 0.08);
+    }
+    .contact-section h2 {
+      text-align: center;
+      font-size: 18px;
+      font-weight: 600;
+      color: #fff;
+      letter-spacing: 2px;
+      margin-bottom: 24px;
+    }
+    .contact-cards {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 16px;
+    }
+    .contact-card {
+      background: rgba(255, 255, 255, 0.04);
+      border: 1px solid rgba(255, 255, 255, 0.08);
+      border-radius: 12px;
+      padding: 28px 20px;
+      text-align: center;
+    }
+    .contact-card .contact-icon {
+      font-size: 32px;
+      margin-bottom: 12px;
+    }
+    .contact-card h3 {
+      font-size: 14px;
+      font-weight: 600;
+      color: #e0e0e0;
+      margin-bottom: 8px;
+    }
+    .contact-card p {
+      font-size: 13px;
+      color: #888;
+      line-height: 1.6;
+    }
+    .contact-link {
+      display: block;
+      text-decoration: none;
+      color: inherit;
+      transition: transform 0.2s;
+    }
+    .contact-link:hover {
+      transform: translateY(-2px);
+    }
+    .ig-handle {
+      display: inline-block;
+      margin-top: 10px;
+      padding: 6px 16px;
+      background: linear-gradient(135deg, #833ab4, #fd1d1d, #fcb045);
+      border-radius: 20px;
+      color: #fff;
+      font-size: 13px;
+      font-weight: 600;
+    }
+
+    .page-footer {
+      max-width: 800px;
+      margin: 32px auto 0;
+      padding-top: 20px;
+      text-align: center;
+    }
+    .page-footer p {
+      font-size: 12px;
+      color: #555;
+      line-height: 2;
+    }
+    .page-footer a {
+      color: #888;
+      text-decoration: none;
+    }
+
+    @media (max-width: 600px) {
+      body { padding: 24px 12px 40px; }
+      .page-header h1 { font-size: 28px; }
+      .session-header { padding: 16px; gap: 12px; }
+      .session-badge { min-width: 38px; height: 38px; font-size: 13px; }
+      .session-info h3 { font-size: 14px; }
+      .contact-cards { grid-template-columns: 1fr; }
+    }
+  </style>
+</head>
+<body oncontextmenu="return false" onselectstart="return false" ondragstart="return false">
+  <div class="page-header">
+    <a href="/archive" class="back-link">← アーカイブ一覧</a>
+    <h1>${formatBrandTitle(pageTitle)}</h1>
+    <p class="subtitle">アーカイブ動画</p>
+    <div class="session-count">${entries.length} セッション視聴可能</div>
+  </div>
+
+  <div class="notice-bar">
+    ⚠ このページのURLの共有はご遠慮ください
+  </div>
+
+  <div class="sessions-grid">
+    ${sessionCards}
+  </div>
+
+  <div class="contact-section">
+    <h2>ご質問・お問い合わせ</h2>
+    <div class="contact-cards">
+      <div class="contact-card">
+        <div class="contact-icon">💬</div>
+        <h3>サークルメンバーの方</h3>
+        <p>DiscordサーバーまたはDMにてお気軽にご連絡ください</p>
+      </div>
+      <div class="contact-card">
+        <a href="https://www.instagram.com/sena_archisoft" target="_blank" rel="noopener" class="contact-link">
+          <div class="contact-icon">📸</div>
+          <h3>メンバー以外の方</h3>
+          <p>InstagramのDMまでお願いします</p>
+          <span class="ig-handle">@sena_archisoft</span>
+        </a>
+      </div>
+    </div>
+  </div>
+
+  <div class="page-footer">
+    <p><a href="/archive/logout">ログアウト</a></p>
+    <p>&copy; AI Architecture Circle</p>
+  </div>
+
+  <script>
+    var players = {};
+    var videoSources = ${JSON.stringify(Object.fromEntries(entries.filter(e => e.session.video).map(e => [toPlayerKey(e.qualifiedKey), getArchiveVideoSource(e, email)]))).replace(/</g, '\\u003c')};
+    var sessionKeys = {${entries.filter(e => e.session.video).map(e => `'${toPlayerKey(e.qualifiedKey)}':'${e.qualifiedKey}'`).join(',')}};
+    var resumePositions = {${entries.map(e => [toPlayerKey(e.qualifiedKey), e.session.video ? getResumePosition(progress[e.qualifiedKey]) : 0]).filter(([, position]) => position).map(([key, position]) => `'${key}':${position}`).join(',')}};
+
+    // プレイヤーの状態（YouTube IFrame APIの YT.PlayerState と同じ値）
+    var PlayerState = { ENDED: 0, PLAYING: 1, PAUSED: 2, BUFFERING: 3, CUED: 5 };
+
+    function keysByProvider(provider) {
+      return Object.keys(videoSources).filter(function(key) { return videoSources[key].provider === provider; });
+    }
+
+    function onPlayerReady(key) {
+      var dur = players[key].getDuration();
+      if (dur > 0) updateChapters(key, players[key].getCurrentTime(), dur);
+    }
+
+    // YouTube IFrame API
+    if (keysByProvider('youtube').length > 0) {
+      var tag = document.createElement('script');
+      tag.src = 'https://www.youtube.com/iframe_api';
+      document.head.appendChild(tag);
+    }
+
+    function onYouTubeIframeAPIReady() {
+      keysByProvider('youtube').forEach(function(key) {
+        var playerVars = { rel: 0, modestbranding: 1, disablekb: 1, fs: 1 };
+        if (resumePositions[key]) playerVars.start = resumePositions[key];
+        players[key] = new YT.Player('player-' + key, {
+          videoId: videoSources[key].id,
+          playerVars: playerVars,
+          events: {
+            onReady: function() { onPlayerReady(key); },
+            onStateChange: function(e) { updateOverlay(key, e.data); }
+          }
+        });
+      });
+    }
+
+    // 自前配信（HLS）：hls.jsで再生し、非対応ブラウザ（iOS Safari等）はネイティブ再生
+    // YouTubeプレイヤーと同じメソッドを持つラッパーを players に登録する
+    function createHlsPlayer(key) {
+      var video = document.getElementById('player-' + key);
+      var url = videoSources[key].url;
+      var start = resumePositions[key] || 0;
+
+      if (window.Hls && Hls.isSupported()) {
+        var hls = new Hls({ startPosition: start || -1 });
+        hls.loadSource(url);
+        hls.attachMedia(video);
+      } else {
+        video.src = url;
+        if (start) video.addEventListener('loadedmetadata', function() { video.currentTime = start; }, { once: true });
+      }
+
+      video.addEventListener('loadedmetadata', function() { onPlayerReady(key); });
+      video.addEventListener('playing', function() { updateOverlay(key, PlayerState.PLAYING); });
+      video.addEventListener('pause', function() { if (!video.ended) updateOverlay(key, PlayerState.PAUSED); });
+      video.addEventListener('ended', function() { updateOverlay(key, PlayerState.ENDED); });
+      video.addEventListener('waiting', function() { updateOverlay(key, PlayerState.BUFFERING); });
+
+      players[key] = {
+        getCurrentTime: function() { return video.currentTime; },
+        getDuration: function() { return isFinite(video.duration) ? video.duration : 0; },
+        getPlayerState: function() {
+          if (video.ended) return PlayerState.ENDED;
+          return video.paused ? PlayerState.PAUSED : PlayerState.PLAYING;
+        },
+        playVideo: function() { video.play().catch(function() {}); },
+        pauseVideo: function() { video.pause(); },
+        seekTo: function(t) { video.currentTime = t; },
+        setVolume: function(val) { video.volume = val / 100; },
+        isMuted: function() { return video.muted; },
+        mute: function() { video.muted = true; },
+        unMute: function() { video.muted = false; },
+        setPlaybackRate: function(rate) { video.playbackRate = rate; }
+      };
+    }
+
+    if (keysByProvider('hls').length > 0) {
+      var hlsTag = document.createElement('script');
+      hlsTag.src = '/archive/assets/hls.min.js';
+      hlsTag.onload = hlsTag.onerror = function() { keysByProvider('hls').forEach(createHlsPlayer); };
+      document.head.appendChild(hlsTag);
+    }
+
+    // 視聴進捗の送信（再生中は15秒ごと・一時停止/終了時・ページを離れる時）
+    var PROGRESS_REPORT_INTERVAL = 15000;
+    var startedPlayers = {};
+    var lastReportedAt = {};
+
+    function reportProgress(key, useBeacon) {
+      var p = players[key];
+      if (!startedPlayers[key] || !p || !p.getCurrentTime) return;
+      var dur = p.getDuration();
+      if (!(dur > 0)) return;
+      lastReportedAt[key] = Date.now();
+      var body = JSON.stringify({ key: sessionKeys[key], position: Math.min(p.getCurrentTime(), dur), duration: dur });
+      if (useBeacon && navigator.sendBeacon) {
+        navigator.sendBeacon('/archive/progress', body);
+        return;
+      }
+      fetch('/archive/progress', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body: body
+      }).then(function(res) { return res.ok ? res.json() : null; })
+        .then(function(data) { if (data && data.completed) markWatched(key); })
+        .catch(function() {});
+    }
+
+    function markWatched(key) {
+      var badge = document.querySelector('.watched-badge[data-player="' + key + '"]');
+      if (badge) badge.classList.remove('hidden');
+    }
+
+    function hideResumeLabel(key) {
+      var label = document.querySelector('.resume-label[data-player="' + key + '"]');
+      if (label) label.remove();
+    }
+
+    function restartVideo(key) {
+      var p = players[key];
+      if (!p || !p.seekTo) return;
+      hideResumeLabel(key);
+      var restart = document.querySelector('.restart-btn[data-player="' + key + '"]');
+      if (restart) restart.remove();
+      trackSeek(key);
+      p.seekTo(0, true);
+      p.playVideo();
+    }
+
+    function reportAllProgress() {
+      Object.keys(players).forEach(function(key) {
+        reportProgress(key, true);
+        if (segmentStarts[key] != null) sendViewingEvent(key, 'heartbeat', {}, true);
+      });
+    }
+    window.addEventListener('pagehide', reportAllProgress);
+    document.addEventListener('visibilitychange', function() {
+      if (document.visibilityState === 'hidden') reportAllProgress();
+    });
+
+    // 視聴分析（再生・一時停止・シーク・25/50/75%到達・視聴完了、再生中は1分ごとに視聴区間を送信）
+    var ANALYTICS_HEARTBEAT_INTERVAL = 60000;
+    var WATCH_COMPLETE_RATIO = ${WATCH_COMPLETE_RATIO};
+    var playingPlayers = {};
+    var segmentStarts = {};
+    var lastPositions = {};
+    var lastHeartbeatAt = {};
+    var sentMilestones = {};
+    var pendingSeeks = {};
+
+    function sendViewingEvent(key, type, extra, useBeacon) {
+      var p = players[key];
+      if (!p || !p.getCurrentTime) return;
+      var dur = p.getDuration();
+      if (!(dur > 0)) return;
+      var position = Math.min(p.getCurrentTime(), dur);
+      var payload = { key: sessionKeys[key], type: type, position: position, duration: dur };
+      for (var name in extra) payload[name] = extra[name];
+
+      // 前回のイベント以降に連続再生した区間を送り、再生中なら現在位置から次の区間を始める
+      if (type !== 'seek' && segmentStarts[key] != null) {
+        if (position > segmentStarts[key]) payload.segment = [segmentStarts[key], position];
+        segmentStarts[key] = playingPlayers[key] ? position : null;
+      }
+      lastHeartbeatAt[key] = Date.now();
+
+      var body = JSON.stringify(payload);
+      if (useBeacon && navigator.sendBeacon) {
+        navigator.sendBeacon('/archive/analytics', body);
+        return;
+      }
+      fetch('/archive/analytics', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body: body
+      }).catch(function() {});
+    }
+
+    function trackViewingState(key, state) {
+      var p = players[key];
+      if (state === PlayerState.PLAYING) {
+        if (playingPlayers[key]) return;
+        playingPlayers[key] = true;
+        if (!pendingSeeks[key]) segmentStarts[key] = p.getCurrentTime();
+        lastPositions[key] = p.getCurrentTime();
+        sendViewingEvent(key, 'play', {});
+      } else if (state === PlayerState.PAUSED || state === PlayerState.ENDED) {
+        if (!playingPlayers[key]) return;
+        playingPlayers[key] = false;
+        if (state === PlayerState.ENDED && !(sentMilestones[key] || {}).complete) {
+          (sentMilestones[key] = sentMilestones[key] || {}).complete = true;
+          sendViewingEvent(key, 'complete', {});
+        } else {
+          sendViewingEvent(key, state === PlayerState.PAUSED ? 'pause' : 'heartbeat', {});
+        }
+      }
+    }
+
+    // 再生中に通過した25/50/75%・視聴完了の位置を送信（シークで飛び越えた分は数えない）
+    function trackViewingTick(key, cur, dur) {
+      if (!playingPlayers[key] || pendingSeeks[key]) return;
+      if (segmentStarts[key] == null) segmentStarts[key] = cur;
+      var prev = lastPositions[key];
+      lastPositions[key] = cur;
+      var milestones = sentMilestones[key] = sentMilestones[key] || {};
+      var crossed = function(ratio) { return prev != null && cur - prev < 5 && prev < dur * ratio && cur >= dur * ratio; };
+
+      [25, 50, 75].forEach(function(q) {
+        if (!milestones[q] && crossed(q / 100)) {
+          milestones[q] = true;
+          sendViewingEvent(key, 'quartile', { quartile: q });
+        }
+      });
+      if (!milestones.complete && crossed(WATCH_COMPLETE_RATIO)) {
+        milestones.complete = true;
+        sendViewingEvent(key, 'complete', {});
+      }
+      if (Date.now() - (lastHeartbeatAt[key] || 0) >= ANALYTICS_HEARTBEAT_INTERVAL) {
+        sendViewingEvent(key, 'heartbeat', {});
+      }
+    }
+
+    // シーク開始時に直前までの再生区間を確定し、操作が落ち着いてからシークイベントを送信
+    function trackSeek(key) {
+      var p = players[key];
+      if (!p || !p.getCurrentTime) return;
+      var pending = pendingSeeks[key];
+      if (!pending) {
+        var from = Math.min(p.getCurrentTime(), p.getDuration());
+        pending = pendingSeeks[key] = { from: from };
+        if (segmentStarts[key] != null && from > segmentStarts[key]) pending.segment = [segmentStarts[key], from];
+        segmentStarts[key] = null;
+      }
+      clearTimeout(pending.timer);
+      pending.timer = setTimeout(function() {
+        delete pendingSeeks[key];
+        var extra = { from: pending.from };
+        if (pending.segment) extra.segment = pending.segment;
+        sendViewingEvent(key, 'seek', extra);
+        lastPositions[key] = p.getCurrentTime();
+        if (playingPlayers[key]) segmentStarts[key] = p.getCurrentTime();
+      }, 600);
+    }
+
+    var seeking = {};
+
+    function updateOverlay(key, state) {
+      var overlay = document.querySelector('.video-overlay[data-player="' + key + '"]');
+      if (!overlay) return;
+      var btn = overlay.querySelector('.play-btn');
+      var ctrlPlay = document.querySelector('.ctrl-play[data-player="' + key + '"]');
+      if (state === PlayerState.PLAYING) {
+        btn.textContent = '❚❚';
+        overlay.classList.add('playing');
+        if (ctrlPlay) ctrlPlay.textContent = '❚❚';
+        if (!startedPlayers[key]) {
+          startedPlayers[key] = true;
+          lastReportedAt[key] = Date.now();
+          hideResumeLabel(key);
+        }
+        startProgressUpdate(key);
+      } else {
+        btn.textContent = '▶';
+        overlay.classList.remove('playing');
+        if (ctrlPlay) ctrlPlay.textContent = '▶';
+        if (state === PlayerState.PAUSED || state === PlayerState.ENDED) reportProgress(key);
+      }
+      trackViewingState(key, state);
+    }
+
+    // 再生位置更新ループ
+    var progressIntervals = {};
+    function startProgressUpdate(key) {
+      if (progressIntervals[key]) return;
+      progressIntervals[key] = setInterval(function() {
+        var p = players[key];
+        if (!p || !p.getCurrentTime || seeking[key]) return;
+        var cur = p.getCurrentTime();
+        var dur = p.getDuration();
+        if (dur <= 0) return;
+        var pct = (cur / dur) * 100;
+        var seekBar = document.querySelector('.ctrl-seek[data-player="' + key + '"]');
+        var progress = document.querySelector('.ctrl-seek-progress[data-player="' + key + '"]');
+        var timeEl = document.querySelector('.ctrl-time[data-player="' + key + '"]');
+        var durEl = document.querySelector('.ctrl-duration[data-player="' + key + '"]');
+        if (seekBar) seekBar.value = pct;
+        if (progress) progress.style.width = pct + '%';
+        if (timeEl) timeEl.textContent = formatTime(cur);
+        if (durEl) durEl.textContent = formatTime(dur);
+        updateChapters(key, cur, dur);
+        if (Date.now() - (lastReportedAt[key] || 0) >= PROGRESS_REPORT_INTERVAL) reportProgress(key);
+        trackViewingTick(key, cur, dur);
+        if (p.getPlayerState && p.getPlayerState() !== PlayerState.PLAYING) {
+          clearInterval(progressIntervals[key]);
+          progressIntervals[key] = null;
+        }
+      }, 250);
+    }
+
+    function formatTime(s) {
+      var m = Math.floor(s / 60);
+      var sec = Math.floor(s % 60);
+      return m + ':' + (sec < 10 ? '0' : '') + sec;
+    }
+
+    // コントロール関数
+    function togglePlay(key) {
+      var p = players[key];
+      if (!p || !p.getPlayerState) return;
+      if (p.getPlayerState() === PlayerState.PLAYING) p.pauseVideo();
+      else p.playVideo();
+    }
+
+    function seekStart(key) { seeking[key] = true; }
+    function seekEnd(key) { seeking[key] = false; }
+    function seekTo(key, val) {
+      var p = players[key];
+      if (!p || !p.getDuration) return;
+      trackSeek(key);
+      var t = (val / 100) * p.getDuration();
+      p.seekTo(t, true);
+      var progress = document.querySelector('.ctrl-seek-progress[data-player="' + key + '"]');
+      if (progress) progress.style.width = val + '%';
+      var timeEl = document.querySelector('.ctrl-time[data-player="' + key + '"]');
+      if (timeEl) timeEl.textContent = formatTime(t);
+    }
+
+    // チャプター（シークバー上のマーカー・動画下の目次）
+    function jumpToChapter(key, seconds) {
+      var p = players[key];
+      if (!p || !p.seekTo) return;
+      hideResumeLabel(key);
+      var dur = p.getDuration();
+      if (dur > 0) {
+        var pct = Math.min(seconds / dur * 100, 100);
+        var seekBar = document.querySelector('.ctrl-seek[data-player="' + key + '"]');
+        if (seekBar) seekBar.value = pct;
+        seekTo(key, pct);
+      } else {
+        // 再生前で長さが取得できない場合は秒数で直接移動
+        trackSeek(key);
+        p.seekTo(seconds, true);
+      }
+      if (p.getPlayerState() !== PlayerState.PLAYING) p.playVideo();
+    }
+
+    var positionedChapters = {};
+    function updateChapters(key, cur, dur) {
+      if (!positionedChapters[key]) {
+        positionedChapters[key] = true;
+        document.querySelectorAll('.chapter-marker[data-player="' + key + '"]').forEach(function(marker) {
+          var time = Number(marker.dataset.time);
+          if (time >= dur) return;
+          marker.style.left = (time / dur * 100) + '%';
+          marker.classList.add('positioned');
+        });
+      }
+      var items = document.querySelectorAll('.chapter-item[data-player="' + key + '"]');
+      var current = null;
+      items.forEach(function(item) {
+        if (Number(item.dataset.time) <= cur) current = item;
+      });
+      items.forEach(function(item) {
+        item.classList.toggle('active', item === current);
+      });
+    }
+
+    function setVolume(key, val) {
+      var p = players[key];
+      if (!p) return;
+      p.setVolume(val);
+      var icon = document.querySelector('.ctrl-vol-icon');
+      if (icon) icon.textContent = val == 0 ? '🔇' : val < 50 ? '🔉' : '🔊';
+    }
+
+    function toggleMute(key) {
+      var p = players[key];
+      if (!p) return;
+      if (p.isMuted()) { p.unMute(); } else { p.mute(); }
+    }
+
+    function setSpeed(key, val) {
+      var p = players[key];
+      if (!p) return;
+      p.setPlaybackRate(parseFloat(val));
+    }
+
+    function toggleFullscreen(btn) {
+      var wrapper = btn.closest('.video-wrapper');
+      if (!wrapper) return;
+      if (document.fullscreenElement || document.webkitFullscreenElement) {
+        (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+      } else {
+        (wrapper.requestFullscreen || wrapper.webkitRequestFullscreen).call(wrapper);
+      }
+    }
+
+    // オーバーレイクリックで再生/一時停止
+    document.querySelectorAll('.video-overlay').forEach(function(overlay) {
+      overlay.addEventListener('click', function() {
+        togglePlay(this.dataset.player);
+      });
+    });
+
+    // DevTools対策
+    document.addEventListener('keydown', function(e) {
+      if (e.key === 'F12' || (e.ctrlKey && e.shiftKey && (e.key === 'I' || e.key === 'i')) || (e.ctrlKey && (e.key === 'u' || e.key === 'U'))) {
+        e.preventDefault();
+      }
+    });
+  </script>
+</body>
+</html>`;
+  }
+
+  return {
+    generateArchiveVideoPage
+  };
+}
+
+module.exports = {
+  createArchiveVideoPage
+};
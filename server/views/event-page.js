@@ -0,0 +1,336 @@
+'use strict';
+
+/**
+ * イベントのチケット購入ページ
+ */
+
+const { escapeHtml } = require('./html');
+
+/**
+ * 価格を表示用に整形
+ */
+function formatPrice(price) {
+  return `¥${Number(price).toLocaleString('ja-JP')}`;
+}
+
+/**
+ * イベントチケット購入ページ HTML生成
+ */
+function generateEventTicketPage(event) {
+  const ticketCards = event.tickets.map(ticket => `
+      <div class="product${ticket.featured ? ' featured' : ''}">
+        <div class="product-header">
+          <h3>${escapeHtml(ticket.label || ticket.productName)}</h3>
+          <div class="price">${formatPrice(ticket.price)}</div>
+        </div>
+        <div class="desc">${escapeHtml(ticket.description || '')}</div>
+        ${ticket.paymentLink
+          ? `<a href="${escapeHtml(ticket.paymentLink)}" target="_blank">購入する</a>`
+          : '<span class="desc">販売準備中</span>'}
+      </div>
+`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(event.title)} チケット購入</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN', Meiryo, sans-serif;
+      background: #f5f5f5;
+      min-height: 100vh;
+      padding: 40px 20px;
+      color: #333;
+    }
+    .container {
+      max-width: 560px;
+      margin: 0 auto;
+    }
+
+    /* Header */
+    .header {
+      background: #1a1a1a;
+      color: white;
+      padding: 48px 40px;
+      text-align: center;
+      border-radius: 8px 8px 0 0;
+    }
+    .header h1 {
+      font-size: 24px;
+      font-weight: 600;
+      letter-spacing: 4px;
+      margin-bottom: 8px;
+    }
+    .header .date {
+      font-size: 14px;
+      color: #999;
+      letter-spacing: 1px;
+    }
+
+    /* Content */
+    .content {
+      background: white;
+      padding: 40px;
+      border-radius: 0 0 8px 8px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.08);
+    }
+
+    /* サークル会員案内 */
+    .member-notice {
+      background: #f0f9ff;
+      border: 1px solid #bae6fd;
+      border-radius: 6px;
+      padding: 20px;
+      margin-bottom: 32px;
+    }
+    .member-notice h3 {
+      font-size: 14px;
+      font-weight: 600;
+      color: #0369a1;
+      margin-bottom: 8px;
+    }
+    .member-notice p {
+      font-size: 13px;
+      color: #0c4a6e;
+      line-height: 1.6;
+    }
+
+    /* 注意事項 */
+    .notice {
+      background: #fafafa;
+      border-radius: 6px;
+      padding: 20px;
+      margin-bottom: 32px;
+      font-size: 13px;
+      line-height: 1.8;
+      color: #666;
+    }
+    .notice strong {
+      color: #333;
+    }
+
+    /* セクションタイトル */
+    .section-title {
+      font-size: 13px;
+      font-weight: 600;
+      color: #1a1a1a;
+      letter-spacing: 2px;
+      margin-bottom: 20px;
+      padding-bottom: 12px;
+      border-bottom: 1px solid #eee;
+    }
+
+    /* 商品カード */
+    .product {
+      border: 1px solid #e8e8e8;
+      border-radius: 6px;
+      padding: 24px;
+      margin-bottom: 16px;
+      transition: border-color 0.2s, box-shadow 0.2s;
+    }
+    .product:hover {
+      border-color: #1a1a1a;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.06);
+    }
+    .product-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: flex-start;
+      margin-bottom: 12px;
+    }
+    .product h3 {
+      font-size: 15px;
+      font-weight: 600;
+      color: #1a1a1a;
+      flex: 1;
+      padding-right: 16px;
+    }
+    .product .price {
+      font-size: 18px;
+      font-weight: 700;
+      color: #1a1a1a;
+      white-space: nowrap;
+    }
+    .product .desc {
+      font-size: 13px;
+      color: #888;
+      line-height: 1.5;
+      margin-bottom: 16px;
+    }
+    .product a {
+      display: inline-block;
+      padding: 12px 28px;
+      background: #1a1a1a;
+      color: white;
+      text-decoration: none;
+      border-radius: 4px;
+      font-size: 13px;
+      font-weight: 500;
+      transition: background 0.2s;
+    }
+    .product a:hover {
+      background: #333;
+    }
+
+    /* 1日通しチケット（おすすめ） */
+    .product.featured {
+      border: 2px solid #1a1a1a;
+      position: relative;
+    }
+    .product.featured::before {
+      content: 'RECOMMEND';
+      position: absolute;
+      top: -10px;
+      left: 20px;
+      background: #1a1a1a;
+      color: white;
+      font-size: 10px;
+      font-weight: 600;
+      padding: 4px 12px;
+      border-radius: 3px;
+      letter-spacing: 1px;
+    }
+
+    /* 仕切り */
+    .divider {
+      height: 1px;
+      background: #eee;
+      margin: 40px 0;
+    }
+
+    /* サークル入会案内 */
+    .circle-promo {
+      background: linear-gradient(135deg, #1a1a1a, #333);
+      border-radius: 8px;
+      padding: 32px;
+      color: white;
+      text-align: center;
+    }
+    .circle-promo h3 {
+      font-size: 16px;
+      font-weight: 600;
+      margin-bottom: 12px;
+    }
+    .circle-promo p {
+      font-size: 13px;
+      line-height: 1.8;
+      opacity: 0.9;
+      margin-bottom: 20px;
+    }
+    .circle-promo .benefits {
+      text-align: left;
+      background: rgba(255,255,255,0.1);
+      border-radius: 6px;
+      padding: 16px 20px;
+      margin-bottom: 20px;
+      font-size: 13px;
+      line-height: 2;
+    }
+    .circle-buttons {
+      display: flex;
+      gap: 12px;
+      justify-content: center;
+    }
+    .circle-promo .btn-secondary {
+      display: inline-block;
+      padding: 14px 28px;
+      background: transparent;
+      color: white;
+      text-decoration: none;
+      border-radius: 4px;
+      font-size: 14px;
+      font-weight: 600;
+      border: 1px solid rgba(255,255,255,0.5);
+      transition: all 0.2s;
+    }
+    .circle-promo .btn-secondary:hover {
+      background: rgba(255,255,255,0.1);
+      border-color: white;
+    }
+    .circle-promo .btn-primary {
+      display: inline-block;
+      padding: 14px 28px;
+      background: white;
+      color: #1a1a1a;
+      text-decoration: none;
+      border-radius: 4px;
+      font-size: 14px;
+      font-weight: 600;
+      transition: transform 0.2s;
+    }
+    .circle-promo .btn-primary:hover {
+      transform: translateY(-2px);
+    }
+
+    /* フッター */
+    .footer {
+      margin-top: 32px;
+      padding-top: 24px;
+      border-top: 1px solid #eee;
+      font-size: 12px;
+      color: #999;
+      text-align: center;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${escapeHtml(event.title)}</h1>
+      <p class="date">${escapeHtml(event.dateLabel || '')}</p>
+    </div>
+
+    <div class="content">
+      <!-- サークル会員向け -->
+      <div class="member-notice">
+        <h3>サークル会員の方へ</h3>
+        <p>会員様には専用クーポンをメールでお送りしています。<br>メールに記載のコードで無料参加できます。</p>
+      </div>
+
+      <!-- 注意事項 -->
+      <div class="notice">
+        <strong>購入前にご確認ください</strong><br>
+        購入時のメールアドレスでZoom登録が必要です。<br>
+        異なるメールアドレスでは参加できません。
+      </div>
+
+      <!-- チケット一覧 -->
+      <h2 class="section-title">TICKETS</h2>
+
+${ticketCards}
+      <!-- 仕切り -->
+      <div class="divider"></div>
+
+      <!-- サークル入会案内 -->
+      <div class="circle-promo">
+        <h3>AI×建築サークルに入会する</h3>
+        <p>月額会員になると、${escapeHtml(event.title)}に無料で参加できます。<br>その他にも特典が盛りだくさん！</p>
+        <div class="benefits">
+          ✓ ${escapeHtml(event.title)} 無料参加<br>
+          ✓ 会員限定Discordコミュニティ<br>
+          ✓ 過去セミナーアーカイブ視聴<br>
+          ✓ 月額 ¥5,000
+        </div>
+        <div class="circle-buttons">
+          <a href="https://suz-u3n-chu.github.io/AI-Architecture-Circle/" target="_blank" class="btn-secondary">詳細を見る</a>
+          <a href="/register" class="btn-primary">入会する</a>
+        </div>
+      </div>
+
+      <div class="footer">
+        ご不明点はお問い合わせください
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+module.exports = {
+  generateEventTicketPage
+};
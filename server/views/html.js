@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * HTMLの共通ヘルパー
+ */
+
+/**
+ * HTMLエスケープ
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * タイトル末尾の "." をアクセントカラーで表示（"AI FES." → "AI FES<span class="dot">.</span>"）
+ */
+function formatBrandTitle(title) {
+  const escaped = escapeHtml(title);
+  return escaped.endsWith('.') ? `${escaped.slice(0, -1)}<span class="dot">.</span>` : escaped;
+}
+
+module.exports = {
+  escapeHtml,
+  formatBrandTitle
+};
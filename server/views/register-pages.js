@@ -0,0 +1,258 @@
+'use strict';
+
+/**
+ * サークル入会のページ
+ */
+
+/**
+ * 入会プラン案内ページ HTML生成
+ */
+function generateRegisterPage() {
+  return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>AI×建築サークル 入会</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN', Meiryo, sans-serif;
+      background: #f5f5f5;
+      min-height: 100vh;
+      padding: 40px 20px;
+      color: #333;
+    }
+    .container {
+      max-width: 560px;
+      margin: 0 auto;
+    }
+    .header {
+      background: #1a1a1a;
+      color: white;
+      padding: 48px 40px;
+      text-align: center;
+      border-radius: 8px 8px 0 0;
+    }
+    .header h1 {
+      font-size: 22px;
+      font-weight: 600;
+      letter-spacing: 3px;
+      margin-bottom: 8px;
+    }
+    .header .sub {
+      font-size: 13px;
+      color: #999;
+      letter-spacing: 1px;
+    }
+    .content {
+      background: white;
+      padding: 40px;
+      border-radius: 0 0 8px 8px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.08);
+    }
+    .section-title {
+      font-size: 13px;
+      font-weight: 600;
+      color: #1a1a1a;
+      letter-spacing: 2px;
+      margin-bottom: 20px;
+      padding-bottom: 12px;
+      border-bottom: 1px solid #eee;
+    }
+    .plan {
+      border: 2px solid #1a1a1a;
+      border-radius: 6px;
+      padding: 24px;
+      margin-bottom: 32px;
+    }
+    .plan-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: flex-start;
+      margin-bottom: 16px;
+    }
+    .plan h3 {
+      font-size: 15px;
+      font-weight: 600;
+      color: #1a1a1a;
+    }
+    .plan .price {
+      font-size: 18px;
+      font-weight: 700;
+      color: #1a1a1a;
+      white-space: nowrap;
+    }
+    .plan .price span {
+      font-size: 12px;
+      font-weight: 500;
+      color: #888;
+    }
+    .benefits {
+      font-size: 13px;
+      line-height: 2;
+      color: #555;
+    }
+    .notice {
+      background: #fafafa;
+      border-radius: 6px;
+      padding: 20px;
+      margin-bottom: 32px;
+      font-size: 13px;
+      line-height: 1.8;
+      color: #666;
+    }
+    .notice strong {
+      color: #333;
+    }
+    .submit-btn {
+      width: 100%;
+      padding: 16px;
+      background: #1a1a1a;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      font-size: 14px;
+      font-weight: 600;
+      letter-spacing: 1px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+    .submit-btn:hover {
+      background: #333;
+    }
+    .footer {
+      margin-top: 32px;
+      padding-top: 24px;
+      border-top: 1px solid #eee;
+      font-size: 12px;
+      color: #999;
+      text-align: center;
+    }
+    .footer a {
+      color: #666;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>AI×建築サークル</h1>
+      <p class="sub">MEMBERSHIP</p>
+    </div>
+
+    <div class="content">
+      <h2 class="section-title">PLAN</h2>
+
+      <div class="plan">
+        <div class="plan-header">
+          <h3>月額会員</h3>
+          <div class="price">¥5,000<span> / 月</span></div>
+        </div>
+        <div class="benefits">
+          ✓ AI FES. 無料参加<br>
+          ✓ 会員限定Discordコミュニティ<br>
+          ✓ 過去セミナーアーカイブ視聴
+        </div>
+      </div>
+
+      <div class="notice">
+        <strong>お申し込み前にご確認ください</strong><br>
+        お支払いはStripeの決済画面で行います。<br>
+        毎月自動更新となります。<br>
+        入会後、ご登録のメールアドレスに会員特典のご案内をお送りします。
+      </div>
+
+      <form action="/register/checkout" method="POST">
+        <button type="submit" class="submit-btn">入会手続きへ進む</button>
+      </form>
+
+      <div class="footer">
+        <a href="https://suz-u3n-chu.github.io/AI-Architecture-Circle/" target="_blank">サークルの詳細を見る</a>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * 入会結果ページ HTML生成
+ */
+function generateRegisterResultPage(title, message, success) {
+  return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>AI×建築サークル 入会</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN', Meiryo, sans-serif;
+      background: #f5f5f5;
+      min-height: 100vh;
+      padding: 40px 20px;
+      color: #333;
+    }
+    .container {
+      max-width: 560px;
+      margin: 0 auto;
+    }
+    .card {
+      background: white;
+      padding: 48px 40px;
+      border-radius: 8px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.08);
+      text-align: center;
+    }
+    .icon {
+      font-size: 32px;
+      margin-bottom: 16px;
+    }
+    .card h2 {
+      font-size: 18px;
+      font-weight: 600;
+      color: #1a1a1a;
+      margin-bottom: 16px;
+    }
+    .card p {
+      font-size: 14px;
+      color: #666;
+      line-height: 1.8;
+      margin-bottom: 32px;
+    }
+    .btn {
+      display: inline-block;
+      padding: 12px 28px;
+      background: #1a1a1a;
+      color: white;
+      text-decoration: none;
+      border-radius: 4px;
+      font-size: 13px;
+      font-weight: 500;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="card">
+      <div class="icon">${success ? '✓' : '✕'}</div>
+      <h2>${title}</h2>
+      <p>${message}</p>
+      ${success
+        ? '<a href="/archive" class="btn">アーカイブ動画を見る</a>'
+        : '<a href="/register" class="btn">入会ページに戻る</a>'}
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  generateRegisterPage,
+  generateRegisterResultPage
+};
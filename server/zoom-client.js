@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Zoom APIクライアント（Server-to-Server OAuth）
+ *
+ * - ZOOM_ACCOUNT_ID / ZOOM_CLIENT_ID / ZOOM_CLIENT_SECRET でアクセストークンを取得（期限まで再利用）
+ * - ZOOM_API_BASE_URL / ZOOM_OAUTH_URL を差し替えると、ローカルのスタブサーバーに向けて動作確認できる
+ * - fetch も差し替え可能（テスト用）
+ */
+
+const DEFAULT_API_BASE_URL = 'https://api.zoom.us/v2';
+const DEFAULT_OAUTH_URL = 'https://zoom.us/oauth/token';
+
+/**
+ * Zoom APIのエラー（HTTPステータス・Zoomのエラーコードつき）
+ */
+class ZoomApiError extends Error {
+  constructor(status, body) {
+    super(`Zoom API Error: ${status} ${body?.message || ''}`.trim());
+    this.name = 'ZoomApiError';
+    this.status = status;
+    this.code = body?.code;
+  }
+}
+
+/**
+ * 認証情報が揃っていればクライアントを作成（未設定ならnull）
+ */
+function createZoomClient({
+  accountId,
+  clientId,
+  clientSecret,
+  apiBaseUrl = DEFAULT_API_BASE_URL,
+  oauthUrl = DEFAULT_OAUTH_URL,
+  fetch = globalThis.fetch
+}) {
+  if (!accountId || !clientId || !clientSecret) return null;
+
+  let token = null;
+  let tokenExpiresAt = 0;
+
+  async function getAccessToken() {
+    // 期限の1分前までは同じトークンを使う
+    if (token && Date.now() < tokenExpiresAt - 60 * 1000) return token;
+
+    const url = `${oauthUrl}?grant_type=account_credentials&account_id=${encodeURIComponent(accountId)}`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+      }
+    });
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) throw new ZoomApiError(response.status, body);
+
+    token = body.access_token;
+    tokenExpiresAt = Date.now() + body.expires_in * 1000;
+    return token;
+  }
+
+  async function request(method, pathname, payload) {
+    const response = await fetch(`${apiBaseUrl}${pathname}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${await getAccessToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: payload ? JSON.stringify(payload) : undefined
+    });
+
+    if (response.status === 204) return null;
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) throw new ZoomApiError(response.status, body);
+    return body;
+  }
+
+  return {
+    /**
+     * ミーティング情報を取得
+     */
+    async getMeeting(meetingId) {
+      return request('GET', `/meetings/${encodeURIComponent(meetingId)}`);
+    },
+
+    /**
+     * 登録制（自動承認）のミーティングを作成
+     */
+    async createMeeting(hostUserId, { topic, startTime, durationMinutes }) {
+      return request('POST', `/users/${encodeURIComponent(hostUserId)}/meetings`, {
+        topic,
+        type: 2,
+        start_time: startTime,
+        duration: durationMinutes,
+        timezone: 'Asia/Tokyo',
+        settings: {
+          approval_type: 0,
+          registration_type: 1
+        }
+      });
+    },
+
+    /**
+     * ミーティングに登録者を追加し、個人用の参加URLを取得
+     * 同じメールアドレスで登録済みの場合も、Zoomは同じ参加URLを返す
+     */
+    async addRegistrant(meetingId, { email, firstName, lastName }) {
+      const registrant = await request('POST', `/meetings/${encodeURIComponent(meetingId)}/registrants`, {
+        email,
+        first_name: firstName,
+        last_name: lastName || undefined
+      });
+
+      return {
+        registrantId: registrant.registrant_id || registrant.id,
+        joinUrl: registrant.join_url
+      };
+    },
+
+    /**
+     * ミーティングの登録をキャンセル（個人用の参加URLで参加できなくなる）
+     */
+    async cancelRegistrant(meetingId, { registrantId, email }) {
+      await request('PUT', `/meetings/${encodeURIComponent(meetingId)}/registrants/status`, {
+        action: 'cancel',
+        registrants: [{ id: registrantId || undefined, email }]
+      });
+    }
+  };
+}
+
+module.exports = {
+  ZoomApiError,
+  createZoomClient
+};
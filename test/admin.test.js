@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * 管理画面（Basic認証・更新系リクエストのオリジン確認）
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/test-app');
+
+const AUTHORIZATION = `Basic ${Buffer.from('admin:admin_password_test').toString('base64')}`;
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestApp();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+/**
+ * 管理画面の更新系リクエストを送信
+ */
+async function postAdmin(pathname, headers) {
+  return fetch(`${ctx.baseUrl}${pathname}`, {
+    method: 'POST',
+    headers: { Authorization: AUTHORIZATION, 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams({ email: 'guest@example.com' }).toString(),
+    redirect: 'manual'
+  });
+}
+
+test('更新系リクエストは、Origin: null や不正なRefererなら403にする', async () => {
+  assert.equal((await postAdmin('/admin/grant', { Origin: 'null' })).status, 403);
+  assert.equal((await postAdmin('/admin/grant', { Referer: 'not a url' })).status, 403);
+  assert.equal((await postAdmin('/admin/grant', { Origin: 'https://evil.example.com' })).status, 403);
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * アーカイブ動画のログイン（購入確認・ログインリンク・視聴セッション・レートリミット）
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, loadFixture, PUBLIC_BASE_URL } = require('./helpers/test-app');
+
+const ALL_ARCHIVE_KEYS = ['aifes:A', 'aifes:B', 'aifes:C', 'aifes:D', 'aifes:E1', 'aifes:E2', 'aifes:F'];
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestApp();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+/**
+ * ログインリンクを請求し、メールのリンクからログインして視聴セッションのCookieを返す
+ */
+async function loginWithEmail(email) {
+  const res = await ctx.postForm('/archive/verify', { email });
+  assert.equal(res.status, 200);
+
+  const [message] = ctx.mail.sentTo(email).slice(-1);
+  assert.ok(message, 'ログインリンクのメールが送信されていません');
+  const loginUrl = new URL(message.text.match(/https:\/\/\S+\/archive\/login\?token=\S+/)[0]);
+  assert.equal(loginUrl.origin, PUBLIC_BASE_URL);
+
+  const login = await ctx.postForm('/archive/login', { token: loginUrl.searchParams.get('token') });
+  assert.equal(login.status, 303);
+  assert.equal(login.headers.get('location'), '/archive');
+
+  const cookie = login.headers.getSetCookie().find(value => value.startsWith('archive_session='));
+  assert.ok(cookie, '視聴セッションのCookieがありません');
+  return cookie.split(';')[0];
+}
+
+/**
+ * 視聴セッションのCookieの内容（署名の検証はしない）
+ */
+function decodeArchiveSession(cookie) {
+  const token = cookie.slice('archive_session='.length);
+  return JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+}
+
+test('ゲスト購入（Stripe顧客なし）のメールアドレスでログインし、購入したアーカイブを視聴できる', async () => {
+  await ctx.sendWebhook(loadFixture('events/checkout-guest-full-day.json'));
+
+  const cookie = await loginWithEmail('guest@example.com');
+  const session = decodeArchiveSession(cookie);
+  assert.equal(session.email, 'guest@example.com');
+  assert.equal(session.circle, false);
+  assert.deepEqual(session.keys, ALL_ARCHIVE_KEYS);
+
+  const page = await fetch(`${ctx.baseUrl}/archive/aifes`, { headers: { Cookie: cookie } });
+  assert.equal(page.status, 200);
+});
+
+test('Stripe顧客の購入は、購入時のメールアドレス（大文字小文字を区別しない）でログインできる', async () => {
+  await ctx.sendWebhook(loadFixture('events/checkout-customer-practical.json'));
+
+  const entitlement = await ctx.storage.get('entitlements', 'member@example.com');
+  assert.equal(entitlement.purchases[0].customer_id, 'cus_test_member');
+
+  const res = await ctx.postForm('/archive/verify', { email: ' Member@Example.com ' });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /メールを送信しました/);
+
+  const cookie = await loginWithEmail('member@example.com');
+  assert.deepEqual(decodeArchiveSession(cookie).keys, ['aifes:A', 'aifes:B', 'aifes:C', 'aifes:F']);
+});
+
+test('購入履歴のないメールアドレスにはログインリンクを送信しない', async () => {
+  const res = await ctx.postForm('/archive/verify', { email: 'nobody@example.com' });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /購入履歴またはサークル会員情報が見つかりませんでした/);
+  assert.equal(ctx.mail.sentTo('nobody@example.com').length, 0);
+});
+
+test('ログインリンクは1回しか使えない', async () => {
+  await ctx.postForm('/archive/verify', { email: 'guest@example.com' });
+  const [message] = ctx.mail.sentTo('guest@example.com').slice(-1);
+  const token = new URL(message.text.match(/https:\/\/\S+\/archive\/login\?token=\S+/)[0]).searchParams.get('token');
+
+  assert.equal((await ctx.postForm('/archive/login', { token })).status, 303);
+  assert.equal((await ctx.postForm('/archive/login', { token })).status, 410);
+});
+
+test('ログインリンクは有効期限（15分）を過ぎると使えない', async () => {
+  // 時計を進めるため、このテストだけ別のアプリで確認する
+  let now = Date.parse('2026-03-01T10:00:00+09:00');
+  const app = await startTestApp({ clock: { now: () => now } });
+
+  try {
+    await app.sendWebhook(loadFixture('events/checkout-guest-full-day.json'));
+    await app.postForm('/archive/verify', { email: 'guest@example.com' });
+    const [message] = app.mail.sentTo('guest@example.com').slice(-1);
+    const token = new URL(message.text.match(/https:\/\/\S+\/archive\/login\?token=\S+/)[0]).searchParams.get('token');
+
+    now += 14 * 60 * 1000;
+    assert.equal((await fetch(`${app.baseUrl}/archive/login?token=${encodeURIComponent(token)}`)).status, 200);
+
+    now += 2 * 60 * 1000;
+    assert.equal((await fetch(`${app.baseUrl}/archive/login?token=${encodeURIComponent(token)}`)).status, 410);
+    assert.equal((await app.postForm('/archive/login', { token })).status, 410);
+  } finally {
+    await app.close();
+  }
+});
+
+test('サークル会員は購入がなくても全アーカイブを視聴できる', async () => {
+  const res = await ctx.sendWebhook(loadFixture('events/checkout-circle.json'));
+  assert.equal(res.status, 200);
+  assert.ok(ctx.stripe.calls.some(call => call.resource === 'subscription' && call.id === 'sub_test_circle'));
+
+  const entitlement = await ctx.storage.get('entitlements', 'circle@example.com');
+  assert.equal(entitlement.circle.subscription_id, 'sub_test_circle');
+  assert.equal(entitlement.circle.status, 'active');
+  assert.deepEqual(entitlement.purchases, []);
+
+  const [welcome] = ctx.mail.sentTo('circle@example.com');
+  assert.equal(welcome.subject, 'AI×建築サークル ご入会ありがとうございます');
+
+  const cookie = await loginWithEmail('circle@example.com');
+  const session = decodeArchiveSession(cookie);
+  assert.equal(session.circle, true);
+  assert.deepEqual(session.keys, ALL_ARCHIVE_KEYS);
+});
+
+test('ログインリンクの請求は同じメールアドレスにつき10分間で5回まで', async () => {
+  const email = 'ratelimit@example.com';
+  await ctx.storage.set('entitlements', email, {
+    purchases: [],
+    circle: { subscription_id: 'sub_test_ratelimit', status: 'active' }
+  });
+
+  for (let i = 0; i < 5; i++) {
+    const res = await ctx.postForm('/archive/verify', { email });
+    assert.equal(res.status, 200, `${i + 1}回目`);
+  }
+
+  const limited = await ctx.postForm('/archive/verify', { email });
+  assert.equal(limited.status, 429);
+  assert.match(await limited.text(), /リクエスト回数の上限に達しました/);
+  assert.equal(ctx.mail.sentTo(email).length, 5);
+
+  // 他のメールアドレスには影響しない
+  assert.equal((await ctx.postForm('/archive/verify', { email: 'circle@example.com' })).status, 200);
+});
+
+test('動画ページのhls.jsはCDNではなくアプリから配信する', async () => {
+  const res = await fetch(`${ctx.baseUrl}/archive/assets/hls.min.js`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /javascript/);
+  assert.match(await res.text(), /Hls/);
+});
+
+test('返金されたら、視聴セッションのCookieの有効期限内でも動画ページ・視聴記録が使えなくなる', async () => {
+  // 他のテストの購入に影響しないよう、このテストだけ別のアプリで確認する
+  const app = await startTestApp();
+
+  try {
+    await app.sendWebhook(loadFixture('events/checkout-guest-full-day.json'));
+    await app.postForm('/archive/verify', { email: 'guest@example.com' });
+    const [message] = app.mail.sentTo('guest@example.com').slice(-1);
+    const token = new URL(message.text.match(/https:\/\/\S+\/archive\/login\?token=\S+/)[0]).searchParams.get('token');
+    const login = await app.postForm('/archive/login', { token });
+    const cookie = login.headers.getSetCookie().find(value => value.startsWith('archive_session=')).split(';')[0];
+
+    assert.equal((await fetch(`${app.baseUrl}/archive/aifes`, { headers: { Cookie: cookie } })).status, 200);
+
+    await app.sendWebhook(loadFixture('events/charge-refunded-guest-full-day.json'));
+
+    const page = await fetch(`${app.baseUrl}/archive/aifes`, { headers: { Cookie: cookie } });
+    assert.equal(page.status, 403);
+
+    const library = await fetch(`${app.baseUrl}/archive`, { headers: { Cookie: cookie } });
+    assert.doesNotMatch(await library.text(), /href="\/archive\/aifes"/);
+
+    const progress = await fetch(`${app.baseUrl}/archive/progress`, {
+      method: 'POST',
+      headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key: 'aifes:A', position: 10, duration: 100 })
+    });
+    assert.equal(progress.status, 403);
+  } finally {
+    await app.close();
+  }
+});
+
+test('ログインリンクの請求のレートリミットの記録は、期間（10分）を過ぎたら削除する', async () => {
+  let now = Date.parse('2026-03-01T10:00:00+09:00');
+  const app = await startTestApp({ clock: { now: () => now } });
+
+  try {
+    await app.postForm('/archive/verify', { email: 'stranger1@example.com' });
+    await app.postForm('/archive/verify', { email: 'stranger2@example.com' });
+    assert.deepEqual(Object.keys(await app.storage.list('rate_limits')).sort(),
+      ['archive_verify:stranger1@example.com', 'archive_verify:stranger2@example.com']);
+
+    now += 11 * 60 * 1000;
+    await app.postForm('/archive/verify', { email: 'stranger3@example.com' });
+    assert.deepEqual(Object.keys(await app.storage.list('rate_limits')), ['archive_verify:stranger3@example.com']);
+  } finally {
+    await app.close();
+  }
+});
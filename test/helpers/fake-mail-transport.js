@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * 偽のメール送信トランスポート（テスト用）
+ *
+ * 送信せずに sent に記録する。server/mail-transport.js のトランスポートと同じく send(message) を持つ。
+ * delayMs を指定すると、送信に時間がかかるトランスポートとして動作する（同時に届いたイベントの確認用）。
+ */
+
+function createFakeMailTransport({ delayMs = 0 } = {}) {
+  const sent = [];
+
+  return {
+    name: 'fake',
+    sent,
+    async send(message) {
+      if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+      sent.push(message);
+    },
+    // 宛先ごとの送信済みメール
+    sentTo(email) {
+      return sent.filter(message => message.to === email);
+    }
+  };
+}
+
+module.exports = { createFakeMailTransport };
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * 偽のStripeクライアント（テスト用）
+ *
+ * サーバーが使うStripe APIだけを、フィクスチャ（test/fixtures/stripe.json）の内容で返す。
+ * - lineItems: Checkout Session ID -> line_items
+ * - checkoutSessions: Checkout Session ID -> Checkout Session
+ * - subscriptions: サブスクリプションID -> サブスクリプション
+ * - customers: 顧客ID -> 顧客
+ * Webhookの署名検証は本物のSDKの処理（ネットワーク接続なし）をそのまま使う。
+ * 呼び出したAPIは calls に記録する。
+ */
+
+const Stripe = require('stripe');
+
+function createFakeStripe({ lineItems = {}, checkoutSessions = {}, subscriptions = {}, customers = {} } = {}) {
+  const calls = [];
+
+  // Stripeと同じく、存在しないIDは resource_missing のエラーにする
+  function find(resource, records, id) {
+    calls.push({ resource, id });
+    if (!records[id]) {
+      throw new Stripe.errors.StripeInvalidRequestError({
+        type: 'invalid_request_error',
+        code: 'resource_missing',
+        message: `No such ${resource}: '${id}'`
+      });
+    }
+    return structuredClone(records[id]);
+  }
+
+  return {
+    calls,
+    webhooks: Stripe.webhooks,
+    checkout: {
+      sessions: {
+        async retrieve(sessionId) {
+          return find('checkout.session', checkoutSessions, sessionId);
+        },
+        async listLineItems(sessionId) {
+          return { object: 'list', data: find('checkout.session.line_items', lineItems, sessionId), has_more: false };
+        }
+      }
+    },
+    subscriptions: {
+      async retrieve(subscriptionId) {
+        return find('subscription', subscriptions, subscriptionId);
+      }
+    },
+    customers: {
+      async retrieve(customerId) {
+        return find('customer', customers, customerId);
+      }
+    }
+  };
+}
+
+module.exports = { createFakeStripe };
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * 偽のZoom APIクライアント（テスト用）
+ *
+ * server/zoom-client.js のクライアントのうち、購入者の登録・登録のキャンセルだけを持つ。
+ * 呼び出したAPIは calls に記録する。
+ */
+
+function createFakeZoomClient() {
+  const calls = [];
+
+  return {
+    calls,
+    async addRegistrant(meetingId, { email }) {
+      calls.push({ method: 'addRegistrant', meetingId, email });
+      const registrantId = `reg_${meetingId}_${calls.length}`;
+      return { registrantId, joinUrl: `https://zoom.example.com/w/${meetingId}?tk=${registrantId}` };
+    },
+    async cancelRegistrant(meetingId, { registrantId, email }) {
+      calls.push({ method: 'cancelRegistrant', meetingId, registrantId, email });
+    }
+  };
+}
+
+module.exports = { createFakeZoomClient };
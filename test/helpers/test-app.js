@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * テスト用のサーバー起動
+ *
+ * 一時ディレクトリのJSONファイルストレージと、偽のStripeクライアント・メール送信トランスポートで
+ * アプリを作成して起動する（外部サービスには接続しない）。
+ * 設定はテスト用の環境変数から作成し、.env・process.env は使わない。
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Stripe = require('stripe');
+const { loadConfig } = require('../../server/config');
+const { createCatalog } = require('../../server/catalog');
+const { createApp } = require('../../server/app');
+const { createStorage } = require('../../server/storage');
+const { createFakeStripe } = require('./fake-stripe');
+const { createFakeMailTransport } = require('./fake-mail-transport');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const WEBHOOK_SECRET = 'whsec_test_offline';
+const ARCHIVE_SESSION_SECRET = 'archive_session_secret_test';
+const PUBLIC_BASE_URL = 'https://portal.example.com';
+
+// カタログのチケット（priceIdEnv）とフィクスチャのprice_id
+const PRICE_IDS = {
+  PRICE_ID_FULL_DAY: 'price_test_full_day',
+  PRICE_ID_PRACTICAL_AI_ARCHITECTURE: 'price_test_practical',
+  PRICE_ID_IMAGE_GEN_AI: 'price_test_image_gen',
+  PRICE_ID_GOOGLE_HP_GAS: 'price_test_google_hp_gas'
+};
+
+/**
+ * フィクスチャ（test/fixtures 配下のJSON）を読み込む
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+/**
+ * サーバーを起動し、リクエスト用のヘルパーを返す
+ * clock を渡すと、サーバーの現在時刻をテストから進められる。mailDelayMs はメール送信にかかる時間
+ * zoomClient を渡すと、Zoom API設定時の動作（購入者の登録・キャンセル）になる
+ */
+async function startTestApp({ clock, mailDelayMs, zoomClient } = {}) {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiarchi-portal-test-'));
+
+  // Zoom APIなど外部サービスの設定は空にする
+  const env = {
+    STRIPE_MODE: 'test',
+    STRIPE_SECRET_KEY_TEST: 'sk_test_offline',
+    STRIPE_WEBHOOK_SECRET_TEST: WEBHOOK_SECRET,
+    MAIL_TRANSPORT: 'console',
+    FROM_EMAIL: 'noreply@example.com',
+    SUPPORT_FORM_URL: 'https://support.example.com/form',
+    PUBLIC_BASE_URL,
+    ARCHIVE_SESSION_SECRET,
+    ADMIN_PASSWORD: 'admin_password_test',
+    STORAGE_BACKEND: 'file',
+    STORAGE_DIR: storageDir,
+    MATERIALS_STORAGE: 'local',
+    ...PRICE_IDS
+  };
+  const config = loadConfig(env);
+
+  // サーバーと同じストレージ（テストからの確認・事前データの登録用）
+  const storage = createStorage('file', { storageDir });
+  for (const [key, meeting] of Object.entries(loadFixture('zoom-meetings.json'))) {
+    await storage.set('zoom_meetings', key, meeting);
+  }
+
+  const stripe = createFakeStripe(loadFixture('stripe.json'));
+  const mail = createFakeMailTransport({ delayMs: mailDelayMs });
+  const app = createApp({
+    config,
+    catalog: createCatalog(config.catalogPath, env),
+    storage,
+    stripe,
+    mailTransport: mail,
+    zoomClient,
+    clock
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    stripe,
+    mail,
+    storage,
+    services: app.locals.services,
+
+    // Stripeと同じ形式で署名したWebhookを送信
+    async sendWebhook(event, { secret = WEBHOOK_SECRET } = {}) {
+      const payload = JSON.stringify(event);
+      const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+      return fetch(`${baseUrl}/stripe/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+        body: payload
+      });
+    },
+
+    // フォームの送信（ログインのリダイレクトを確認できるよう、リダイレクトはたどらない）
+    async postForm(pathname, fields) {
+      return fetch(`${baseUrl}${pathname}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(fields).toString(),
+        redirect: 'manual'
+      });
+    },
+
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  PUBLIC_BASE_URL,
+  loadFixture,
+  startTestApp
+};
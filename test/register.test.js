@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * サークル入会（入会完了ページ）
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/test-app');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestApp();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('入会完了ページは、URLのsession_idのメールアドレスを一部伏せて表示する', async () => {
+  const res = await fetch(`${ctx.baseUrl}/register/success?session_id=cs_test_circle`);
+  assert.equal(res.status, 200);
+
+  const body = await res.text();
+  assert.doesNotMatch(body, /circle@example\.com/);
+  assert.match(body, /c\*{5}@example\.com 宛に会員特典のご案内をお送りしました/);
+});
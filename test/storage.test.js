@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * ストレージ（fileバックエンドのレコードごとのファイル）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../server/storage');
+
+/**
+ * 一時ディレクトリのfileストレージで fn を実行する
+ */
+async function withFileStorage(fn) {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiarchi-storage-'));
+  try {
+    await fn(createStorage('file', { storageDir }), storageDir);
+  } finally {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  }
+}
+
+test('Webhookイベントの処理記録は、イベントごとのファイルを更新する', async () => {
+  await withFileStorage(async (storage, storageDir) => {
+    await storage.update('processed_events', 'evt_1', () => ({ status: 'processing' }));
+    await storage.update('processed_events', 'evt_2', () => ({ status: 'processing' }));
+    await storage.update('processed_events', 'evt_1', current => ({ ...current, status: 'done' }));
+
+    assert.deepEqual(fs.readdirSync(path.join(storageDir, 'processed_events')).sort(), ['evt_1.json', 'evt_2.json']);
+    assert.ok(!fs.existsSync(path.join(storageDir, 'processed_events.json')));
+    assert.deepEqual(await storage.list('processed_events'), {
+      evt_1: { status: 'done' },
+      evt_2: { status: 'processing' }
+    });
+
+    await storage.delete('processed_events', 'evt_2');
+    assert.equal(await storage.get('processed_events', 'evt_2'), null);
+  });
+});
+
+test('以前の形式（コレクション単位のファイル）の処理記録は、レコードごとのファイルに分割して読み込む', async () => {
+  await withFileStorage(async (storage, storageDir) => {
+    fs.writeFileSync(path.join(storageDir, 'processed_events.json'), JSON.stringify({
+      records: { evt_old: { status: 'done' } }
+    }));
+
+    assert.deepEqual(await storage.get('processed_events', 'evt_old'), { status: 'done' });
+    assert.ok(!fs.existsSync(path.join(storageDir, 'processed_events.json')));
+    assert.ok(fs.existsSync(path.join(storageDir, 'processed_events', 'evt_old.json')));
+  });
+});
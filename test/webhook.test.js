@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Stripe Webhook（署名検証・購入処理・参加情報メール・冪等性）
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, loadFixture } = require('./helpers/test-app');
+const { createFakeZoomClient } = require('./helpers/fake-zoom-client');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestApp();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('チケット購入のWebhookで視聴権限を記録し、参加情報メールを送信する', async () => {
+  const event = loadFixture('events/checkout-guest-full-day.json');
+
+  const res = await ctx.sendWebhook(event);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { received: true });
+
+  const [email] = ctx.mail.sentTo('guest@example.com');
+  assert.ok(email, '参加情報メールが送信されていません');
+  assert.equal(email.subject, 'AI FES. 参加情報（Zoom登録リンクのご案内）');
+  assert.equal(email.from.email, 'noreply@example.com');
+  assert.match(email.text, /AI FES\. 参加チケット（1日通し）/);
+  for (const key of ['A', 'B', 'C', 'D', 'E', 'F']) {
+    assert.ok(email.text.includes(`https://zoom.example.com/meeting/register/aifes-${key}`), `${key} の登録リンクがありません`);
+  }
+
+  const entitlement = await ctx.storage.get('entitlements', 'guest@example.com');
+  assert.equal(entitlement.purchases.length, 1);
+  assert.equal(entitlement.purchases[0].checkout_session_id, 'cs_test_guest_full_day');
+  assert.equal(entitlement.purchases[0].status, 'paid');
+  assert.deepEqual(entitlement.purchases[0].session_keys,
+    ['aifes:A', 'aifes:B', 'aifes:C', 'aifes:D', 'aifes:E1', 'aifes:E2', 'aifes:F']);
+
+  const processed = await ctx.storage.get('processed_events', event.id);
+  assert.equal(processed.status, 'done');
+
+  const [queued] = Object.values(await ctx.storage.list('mail_queue'));
+  assert.equal(queued.status, 'delivered');
+  assert.equal(queued.webhook_event_id, event.id);
+});
+
+test('処理済みのイベントが再送されても、再処理・メールの再送信をしない', async () => {
+  const event = loadFixture('events/checkout-guest-full-day.json');
+  const sentBefore = ctx.mail.sent.length;
+
+  const res = await ctx.sendWebhook(event);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { received: true, status: 'already_processed' });
+  assert.equal(ctx.mail.sent.length, sentBefore);
+});
+
+test('署名が不正なWebhookは400を返し、処理しない', async () => {
+  const event = loadFixture('events/checkout-customer-practical.json');
+
+  const res = await ctx.sendWebhook(event, { secret: 'whsec_wrong' });
+  assert.equal(res.status, 400);
+  assert.equal(await ctx.storage.get('processed_events', event.id), null);
+  assert.equal(ctx.mail.sentTo('member@example.com').length, 0);
+});
+
+test('ハンドラーが失敗したイベントは失敗として記録し、500を返す（Stripeが再送する）', async () => {
+  const event = loadFixture('events/checkout-customer-practical.json');
+  event.id = 'evt_test_unknown_session';
+  event.data.object.id = 'cs_test_unknown';
+
+  const res = await ctx.sendWebhook(event);
+  assert.equal(res.status, 500);
+
+  const processed = await ctx.storage.get('processed_events', event.id);
+  assert.equal(processed.status, 'failed');
+  assert.match(processed.error, /No such checkout\.session\.line_items/);
+});
+
+test('サークル入会のWebhook（Checkout完了・サブスクリプション作成）が同時に届いても、入会完了メールは1通だけ送信する', async () => {
+  // 送信に時間がかかるトランスポートで、2つのイベントの処理を重ねる
+  const app = await startTestApp({ mailDelayMs: 200 });
+
+  try {
+    const responses = await Promise.all([
+      app.sendWebhook(loadFixture('events/checkout-circle.json')),
+      app.sendWebhook(loadFixture('events/subscription-created-circle.json'))
+    ]);
+    assert.deepEqual(responses.map(res => res.status), [200, 200]);
+
+    const welcomes = app.mail.sentTo('circle@example.com')
+      .filter(message => message.subject === 'AI×建築サークル ご入会ありがとうございます');
+    assert.equal(welcomes.length, 1);
+
+    const entitlement = await app.storage.get('entitlements', 'circle@example.com');
+    assert.ok(entitlement.circle.welcome_sent_at);
+  } finally {
+    await app.close();
+  }
+});
+
+test('以前の（解約済みの）サブスクリプションのイベントは、有効なサークル会員情報を上書きしない', async () => {
+  const app = await startTestApp();
+
+  try {
+    await app.sendWebhook(loadFixture('events/checkout-circle.json'));
+    const res = await app.sendWebhook(loadFixture('events/subscription-deleted-circle-old.json'));
+    assert.equal(res.status, 200);
+
+    const entitlement = await app.storage.get('entitlements', 'circle@example.com');
+    assert.equal(entitlement.circle.subscription_id, 'sub_test_circle');
+    assert.equal(entitlement.circle.status, 'active');
+    assert.equal(entitlement.circle.grace_until, undefined);
+    assert.ok(!app.mail.sentTo('circle@example.com').some(message => message.subject === 'AI×建築サークル 退会手続き完了のお知らせ'));
+  } finally {
+    await app.close();
+  }
+});
+
+test('返金されたら、APIで登録したZoomの登録をキャンセルして、参加リンクが使えなくなることを通知する', async () => {
+  const zoomClient = createFakeZoomClient();
+  const app = await startTestApp({ zoomClient });
+
+  try {
+    await app.sendWebhook(loadFixture('events/checkout-guest-full-day.json'));
+    const registered = zoomClient.calls.filter(call => call.method === 'addRegistrant');
+    assert.ok(registered.length > 0);
+
+    const res = await app.sendWebhook(loadFixture('events/charge-refunded-guest-full-day.json'));
+    assert.equal(res.status, 200);
+
+    const canceled = zoomClient.calls.filter(call => call.method === 'cancelRegistrant');
+    assert.deepEqual(canceled.map(call => call.meetingId).sort(), registered.map(call => call.meetingId).sort());
+    assert.ok(canceled.every(call => call.registrantId && call.email === 'guest@example.com'));
+    assert.deepEqual(await app.storage.list('zoom_registrants'), {});
+
+    const [refund] = app.mail.sentTo('guest@example.com').filter(message => message.subject.includes('ご返金手続き完了'));
+    assert.ok(refund, '返金のメールが送信されていません');
+    assert.match(refund.text, /Zoom参加リンクもご利用いただけなくなります/);
+  } finally {
+    await app.close();
+  }
+});
+
+test('Zoom APIが未設定なら、返金のメールでZoom参加リンクが使えなくなるとは案内しない', async () => {
+  const app = await startTestApp();
+
+  try {
+    await app.sendWebhook(loadFixture('events/checkout-guest-full-day.json'));
+    await app.sendWebhook(loadFixture('events/charge-refunded-guest-full-day.json'));
+
+    const [refund] = app.mail.sentTo('guest@example.com').filter(message => message.subject.includes('ご返金手続き完了'));
+    assert.ok(refund, '返金のメールが送信されていません');
+    assert.doesNotMatch(refund.text, /Zoom参加リンク/);
+  } finally {
+    await app.close();
+  }
+});
+
+test('確保の記録がないWebhookイベントも、処理済み・失敗として記録できる', async () => {
+  const { completeWebhookEvent, failWebhookEvent } = ctx.services.webhookEvents;
+
+  await completeWebhookEvent('evt_test_unclaimed_done');
+  await failWebhookEvent('evt_test_unclaimed_failed', new Error('テスト'));
+
+  assert.equal((await ctx.storage.get('processed_events', 'evt_test_unclaimed_done')).status, 'done');
+  const failed = await ctx.storage.get('processed_events', 'evt_test_unclaimed_failed');
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'テスト');
+});
+
+test('退会のWebhookが再度届いても、開始済みの猶予期間は延長しない', async () => {
+  let now = Date.parse('2026-03-01T10:00:00+09:00');
+  const app = await startTestApp({ clock: { now: () => now } });
+
+  try {
+    await app.sendWebhook(loadFixture('events/checkout-circle.json'));
+    await app.sendWebhook(loadFixture('events/subscription-deleted-circle.json'));
+    const { grace_until: graceUntil } = (await app.storage.get('entitlements', 'circle@example.com')).circle;
+    assert.ok(graceUntil);
+
+    // 別のイベントIDで同じ退会が届く（Stripeの再送・再処理）
+    now += 3 * 24 * 60 * 60 * 1000;
+    await app.sendWebhook({ ...loadFixture('events/subscription-deleted-circle.json'), id: 'evt_test_circle_subscription_deleted_again' });
+
+    const circle = (await app.storage.get('entitlements', 'circle@example.com')).circle;
+    assert.equal(circle.status, 'canceled');
+    assert.equal(circle.grace_until, graceUntil);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Zoom Meeting（購入者の自動登録）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createStorage } = require('../server/storage');
+const { createAuditLogService } = require('../server/services/audit-log');
+const { createZoomService } = require('../server/services/zoom');
+
+const EVENT = { slug: 'aifes', meetings: { A: { name: 'AI FES. A' } } };
+const ZOOM_MEETINGS = { 'aifes:A': { id: 8100000001 } };
+
+test('登録済みの購入者は、メールアドレスの大文字小文字が違っても再登録しない', async () => {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiarchi-zoom-'));
+  const storage = createStorage('file', { storageDir });
+  const clock = { now: () => Date.now() };
+  const registrants = [];
+  const zoomClient = {
+    async addRegistrant(meetingId, { email }) {
+      registrants.push(email);
+      return { registrantId: `reg_${registrants.length}`, joinUrl: `https://zoom.example.com/w/${meetingId}?tk=${registrants.length}` };
+    }
+  };
+  const { registerZoomRegistrant, getZoomJoinUrl } = createZoomService({
+    config: {}, catalog: {}, storage, clock, zoomClient,
+    webhookEventContext: new AsyncLocalStorage(),
+    auditLog: createAuditLogService({ storage, clock })
+  });
+
+  try {
+    const joinUrl = await registerZoomRegistrant(ZOOM_MEETINGS, EVENT, 'A', 'Member@Example.com', 'Member');
+    assert.equal(await registerZoomRegistrant(ZOOM_MEETINGS, EVENT, 'A', 'member@example.com', 'Member'), joinUrl);
+    assert.equal(await getZoomJoinUrl(ZOOM_MEETINGS, EVENT, 'A', 'MEMBER@example.com'), joinUrl);
+    assert.deepEqual(registrants, ['Member@Example.com']);
+  } finally {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  }
+});